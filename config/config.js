@@ -1,10 +1,20 @@
 require('dotenv').config();
 
-module.exports = {
+// Numeric setting where 0 is meaningful (`parseFloat(...) || default` would turn 0 into the default)
+const numberSetting = (value, defaultValue) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const config = {
   // Server Config
   port: process.env.PORT || 8000,
   nodeEnv: process.env.NODE_ENV || 'development',
   apiPrefix: process.env.API_PREFIX || '/v1',
+  // Public base URL of this API (used in links sent by email)
+  appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 8000}`,
+  // Express "trust proxy" setting (hop count or subnet list) so req.ip is the client IP behind a load balancer
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '') ? parseInt(process.env.TRUST_PROXY) : (process.env.TRUST_PROXY || false),
 
   // Database Config
   db: {
@@ -23,18 +33,150 @@ module.exports = {
   // JWT Config
   jwt: {
     secret: process.env.JWT_SECRET || 'default_secret_key',
-    expiresIn: process.env.JWT_EXPIRE || '365d'
+    // Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    refreshExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30
   },
 
   // OTP Config
   otp: {
     expireMinutes: parseInt(process.env.OTP_EXPIRE_MINUTES) || 5,
-    length: parseInt(process.env.OTP_LENGTH) || 4
+    length: parseInt(process.env.OTP_LENGTH) || 4,
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 30,
+    sendWindowMinutes: parseInt(process.env.OTP_SEND_WINDOW_MINUTES) || 60,
+    maxSendsPerPhone: parseInt(process.env.OTP_MAX_SENDS_PER_PHONE) || 5,
+    maxSendsPerIp: parseInt(process.env.OTP_MAX_SENDS_PER_IP) || 20,
+    maxVerifyAttempts: parseInt(process.env.OTP_MAX_VERIFY_ATTEMPTS) || 5,
+    maxVerifyAttemptsPerIp: parseInt(process.env.OTP_MAX_VERIFY_ATTEMPTS_PER_IP) || 20,
+    lockoutMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15
+  },
+
+  // SMS Config (OTP delivery)
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'console', // console | msg91 | twilio
+    console: {
+      logFile: process.env.SMS_CONSOLE_LOG_FILE || 'logs/otp.log'
+    },
+    msg91: {
+      authKey: process.env.MSG91_AUTH_KEY || '',
+      templateId: process.env.MSG91_TEMPLATE_ID || '',
+      countryCode: process.env.MSG91_COUNTRY_CODE || '91'
+    },
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID || '',
+      authToken: process.env.TWILIO_AUTH_TOKEN || '',
+      from: process.env.TWILIO_FROM || '',
+      countryCode: process.env.TWILIO_COUNTRY_CODE || '91'
+    }
   },
 
   // Google OAuth Config
   google: {
-    clientId: process.env.GOOGLE_CLIENT_ID || ''
+    clientId: process.env.GOOGLE_CLIENT_ID || '',
+    // Comma-separated list when Android / iOS / web use different client IDs
+    clientIds: (process.env.GOOGLE_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean),
+    linkExpireMinutes: parseInt(process.env.GOOGLE_LINK_EXPIRE_MINUTES) || 10
+  },
+
+  // Mail Config
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // console | smtp
+    from: process.env.MAIL_FROM || 'NammaShow <no-reply@nammashow.com>',
+    console: {
+      logFile: process.env.MAIL_CONSOLE_LOG_FILE || 'logs/mail.log'
+    },
+    smtp: {
+      host: process.env.SMTP_HOST || '',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASSWORD || ''
+    }
+  },
+
+  // Email Verification Config
+  emailVerification: {
+    expireHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24,
+    resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60,
+    maxAttempts: parseInt(process.env.EMAIL_VERIFICATION_MAX_ATTEMPTS) || 5
+  },
+
+  // Account / privacy (DPDP) Config
+  account: {
+    deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30,
+    phoneChangeExpireMinutes: parseInt(process.env.PHONE_CHANGE_EXPIRE_MINUTES) || 15
+  },
+
+  // Loyalty Config - points earned as a % of ticket + food spend (excl. GST and fees)
+  loyalty: {
+    tierWindowMonths: parseInt(process.env.LOYALTY_TIER_WINDOW_MONTHS) || 12,
+    expiryMonths: parseInt(process.env.LOYALTY_EXPIRY_MONTHS) || 12,
+    expiryNoticeDays: parseInt(process.env.LOYALTY_EXPIRY_NOTICE_DAYS) || 7,
+    redemption: {
+      pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE) || 1, // ₹ per point
+      maxOrderPercent: numberSetting(process.env.LOYALTY_MAX_ORDER_PERCENT, 50),
+      minBalance: numberSetting(process.env.LOYALTY_MIN_REDEEM_BALANCE, 100), // 0 = no minimum
+      excludePlatformFee: process.env.LOYALTY_REDEEM_PLATFORM_FEE !== 'true'
+    },
+    tiers: [
+      {
+        name: 'Silver',
+        minSpend: 0,
+        earnPercent: parseFloat(process.env.LOYALTY_SILVER_EARN_PERCENT) || 1
+      },
+      {
+        name: 'Gold',
+        minSpend: parseFloat(process.env.LOYALTY_GOLD_MIN_SPEND) || 10000,
+        earnPercent: parseFloat(process.env.LOYALTY_GOLD_EARN_PERCENT) || 2
+      },
+      {
+        name: 'Platinum',
+        minSpend: parseFloat(process.env.LOYALTY_PLATINUM_MIN_SPEND) || 25000,
+        earnPercent: parseFloat(process.env.LOYALTY_PLATINUM_EARN_PERCENT) || 3
+      }
+    ]
+  },
+
+  // Reference data cache (seconds)
+  cache: {
+    defaultTtl: parseInt(process.env.CACHE_DEFAULT_TTL) || 300,
+    ttl: {
+      categories: parseInt(process.env.CACHE_CATEGORIES_TTL) || 3600,
+      languages: parseInt(process.env.CACHE_LANGUAGES_TTL) || 3600,
+      translations: parseInt(process.env.CACHE_TRANSLATIONS_TTL) || 600,
+      theaters: parseInt(process.env.CACHE_THEATERS_TTL) || 600,
+      media: parseInt(process.env.CACHE_MEDIA_TTL) || 600
+    }
+  },
+
+  // Seat Lock Config
+  seatLock: {
+    holdMinutes: parseInt(process.env.SEAT_LOCK_HOLD_MINUTES) || 15,
+    maxHoldMinutes: parseInt(process.env.SEAT_LOCK_MAX_HOLD_MINUTES) || 30,
+    maxSeatsPerSchedule: parseInt(process.env.SEAT_LOCK_MAX_SEATS) || 10,
+    maxSchedules: parseInt(process.env.SEAT_LOCK_MAX_SCHEDULES) || 2,
+    // Global switch; each theatre can also turn it off (theaters.prevent_orphan_seats)
+    preventOrphanSeats: process.env.SEAT_LOCK_PREVENT_ORPHANS !== 'false'
+  },
+
+  // Wallet Config
+  wallet: {
+    minTopup: parseFloat(process.env.WALLET_MIN_TOPUP) || 10,
+    maxTopup: parseFloat(process.env.WALLET_MAX_TOPUP) || 10000,
+    maxBalance: parseFloat(process.env.WALLET_MAX_BALANCE) || 20000
+  },
+
+  // Referral Config
+  referral: {
+    monthlyCap: parseInt(process.env.REFERRAL_MONTHLY_CAP) || 10,
+    deepLinkBase: process.env.REFERRAL_DEEP_LINK_BASE || 'https://nammashow.app/invite'
+  },
+
+  // Partner / Kiosk API Key Config
+  apiKeys: {
+    signatureToleranceSeconds: parseInt(process.env.API_KEY_SIGNATURE_TOLERANCE_SECONDS) || 300,
+    // Encrypts the stored signing secrets
+    encryptionKey: process.env.API_KEY_ENCRYPTION_KEY || 'default_api_key_encryption_key'
   },
 
   laravel: {
@@ -43,4 +185,21 @@ module.exports = {
     publicPath: process.env.LARAVEL_PUBLIC_PATH || 'D:/webmoon/nammashow_admin_livewire/public'
   }
 
-};
\ No newline at end of file
+};
+
+// The console provider only logs OTPs; production must deliver them through a real gateway
+if (config.nodeEnv === 'production' && (!process.env.SMS_PROVIDER || config.sms.provider === 'console')) {
+  throw new Error('SMS_PROVIDER must be set to a real SMS gateway (msg91, twilio) when NODE_ENV=production');
+}
+
+// Likewise the console mail transport only logs verification codes and notices
+if (config.nodeEnv === 'production' && (!process.env.MAIL_TRANSPORT || config.mail.transport === 'console')) {
+  throw new Error('MAIL_TRANSPORT must be set to a real mail transport (smtp) when NODE_ENV=production');
+}
+
+// Partner signing secrets must not be encrypted with the default key, which is public in this repo
+if (config.nodeEnv === 'production' && !process.env.API_KEY_ENCRYPTION_KEY) {
+  throw new Error('API_KEY_ENCRYPTION_KEY must be set when NODE_ENV=production');
+}
+
+module.exports = config;
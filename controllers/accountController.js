@@ -0,0 +1,606 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const { successResponse, errorResponse, errorCodeResponse } = require('../utils/responseHelper');
+const otpService = require('../utils/otpService');
+const sessionService = require('../utils/sessionService');
+const tokenService = require('../utils/tokenService');
+const loyaltyLedger = require('../utils/loyaltyLedger');
+const walletService = require('../utils/walletService');
+const { maskPhoneNumber } = require('../utils/otpGenerator');
+
+const ANONYMISED_NAME = 'Deleted User';
+
+const getPendingDeletion = async (userId) => {
+  return await db.queryOne(
+    `SELECT id, scheduled_for, created_at FROM account_deletion_requests
+     WHERE user_id = ? AND status = 'pending'
+     ORDER BY id DESC LIMIT 1`,
+    [userId]
+  );
+};
+
+// Delete Account - first call sends an OTP, second call (with otp) schedules the deletion
+const deleteAccount = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { otp, reason } = req.body;
+
+    const user = await db.queryOne(
+      'SELECT id, phone_number FROM users_profiles WHERE id = ?',
+      [userId]
+    );
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (!user.phone_number) {
+      return errorResponse(res, 'Please add a phone number to your account before requesting deletion', 400);
+    }
+
+    const pending = await getPendingDeletion(userId);
+    if (pending) {
+      return errorResponse(res, 'Account deletion is already scheduled', 409);
+    }
+
+    const otpContext = {
+      ip: otpService.getClientIp(req),
+      userAgent: req.headers['user-agent']
+    };
+
+    // Step 1 - re-confirm the request with an OTP on the registered phone
+    if (!otp) {
+      const otpResult = await otpService.issueOTP(user.phone_number, otpContext);
+
+      if (!otpResult.ok) {
+        return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, otpService.otpErrorDetails(otpResult));
+      }
+
+      const responseData = {
+        otp_required: true,
+        phone_number: maskPhoneNumber(user.phone_number),
+        expires_in_minutes: config.otp.expireMinutes,
+        retry_after_seconds: otpResult.retryAfterSeconds
+      };
+
+      if (config.nodeEnv !== 'production' && otpResult.providerName === 'console') {
+        responseData.otp = otpResult.otp;
+      }
+
+      return successResponse(res, 'OTP sent. Confirm with the OTP to delete your account', responseData);
+    }
+
+    // Step 2 - verify OTP and schedule deletion after the grace period
+    const otpResult = await otpService.consumeOTP(user.phone_number, otp, otpContext);
+
+    if (!otpResult.ok) {
+      return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, otpService.otpErrorDetails(otpResult));
+    }
+
+    await db.query(
+      `INSERT INTO account_deletion_requests
+       (user_id, status, reason, requested_ip, scheduled_for, created_at, updated_at)
+       VALUES (?, 'pending', ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW(), NOW())`,
+      [userId, reason ? String(reason).substring(0, 500) : null, otpContext.ip, config.account.deletionGraceDays]
+    );
+
+    const scheduled = await getPendingDeletion(userId);
+
+    return successResponse(res, 'Account deletion scheduled', {
+      status: 'pending',
+      grace_period_days: config.account.deletionGraceDays,
+      scheduled_for: scheduled?.scheduled_for || null
+    });
+
+  } catch (error) {
+    console.error('Delete Account Error:', error);
+    return errorResponse(res, 'Failed to delete account', 500);
+  }
+};
+
+// Cancel Account Deletion - allowed any time during the grace period
+const cancelDeleteAccount = async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE account_deletion_requests
+       SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+       WHERE user_id = ? AND status = 'pending'`,
+      [req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return errorResponse(res, 'No pending account deletion found', 404);
+    }
+
+    return successResponse(res, 'Account deletion cancelled');
+
+  } catch (error) {
+    console.error('Cancel Delete Account Error:', error);
+    return errorResponse(res, 'Failed to cancel account deletion', 500);
+  }
+};
+
+// Export Data - copy of everything we hold about the user
+const exportData = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const user = await db.queryOne(
+      'SELECT * FROM users_profiles WHERE id = ?',
+      [userId]
+    );
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const theaterBookings = await db.query(
+      `SELECT id, booking, movie, screen, date, show_time, qty, seats_booked, total_amount,
+              payment_method, payment_information, user_information, status, created_at
+       FROM theater_bookings
+       WHERE JSON_EXTRACT(user_information, "$.user_id") = ? AND deleted_at IS NULL
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    const eventBookings = await db.query(
+      `SELECT id, booking, event_name, ticket_type, qty, total_amount, date,
+              payment_information, user_information, status, created_at
+       FROM event_bookings
+       WHERE JSON_EXTRACT(user_information, "$.user_id") = ? AND deleted_at IS NULL
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    const payments = await db.query(
+      `SELECT id, booking_id, razorpay_order_id, razorpay_payment_id, amount, currency,
+              status, payment_method, created_at
+       FROM payment_transactions
+       WHERE user_id = ?
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    const loyaltyTransactions = await db.query(
+      `SELECT type, points, balance_after, reference_type, reference_id, description, created_at
+       FROM loyalty_point_transactions
+       WHERE user_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+
+    const walletTransactions = await db.query(
+      `SELECT type, amount, balance_after, reference_type, reference_id, description, created_at
+       FROM wallet_transactions
+       WHERE user_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+
+    const sessions = await sessionService.listActiveSessions(userId);
+    const pendingDeletion = await getPendingDeletion(userId);
+
+    const bundle = {
+      generated_at: new Date().toISOString(),
+      profile: {
+        id: user.id,
+        phone_number: user.phone_number,
+        email: user.email_address,
+        full_name: user.full_name,
+        gender: user.gender,
+        city: user.city,
+        date_of_birth: user.date_of_birth,
+        referral_code: user.referral_code,
+        referred_by: user.referred_by,
+        status: user.status,
+        created_at: user.created_at,
+        updated_at: user.updated_at
+      },
+      theater_bookings: theaterBookings,
+      event_bookings: eventBookings,
+      payments: payments,
+      loyalty: {
+        balance: await loyaltyLedger.getBalance(userId),
+        transactions: loyaltyTransactions
+      },
+      wallet: {
+        balance: await walletService.getBalance(userId),
+        transactions: walletTransactions
+      },
+      sessions: sessions,
+      account_deletion: pendingDeletion ? {
+        status: 'pending',
+        scheduled_for: pendingDeletion.scheduled_for
+      } : null
+    };
+
+    // ?download=1 returns the bundle as a file
+    if (req.query.download === '1' || req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="nammashow-data-${userId}.json"`);
+      return res.status(200).json(bundle);
+    }
+
+    return successResponse(res, 'Data exported successfully', bundle);
+
+  } catch (error) {
+    console.error('Export Data Error:', error);
+    return errorResponse(res, 'Failed to export data', 500);
+  }
+};
+
+// Send an OTP for one side of a phone change; returns null on success or the failed result
+const sendPhoneChangeOTP = async (phoneNumber, otpContext, devOtps, key) => {
+  const otpResult = await otpService.issueOTP(phoneNumber, otpContext);
+  if (!otpResult.ok) {
+    return otpResult;
+  }
+  if (config.nodeEnv !== 'production' && otpResult.providerName === 'console') {
+    devOtps[key] = otpResult.otp;
+  }
+  return null;
+};
+
+// Request Phone Change - sends OTPs to the current and the new number
+const requestPhoneChange = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { new_phone_number } = req.body;
+
+    if (!new_phone_number) {
+      return errorResponse(res, 'New phone number is required', 400);
+    }
+
+    const phoneRegex = /^[0-9]{10}$/;
+    if (!phoneRegex.test(new_phone_number)) {
+      return errorResponse(res, 'Phone number must be exactly 10 digits', 400);
+    }
+
+    const user = await db.queryOne(
+      'SELECT id, phone_number FROM users_profiles WHERE id = ?',
+      [userId]
+    );
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (user.phone_number === new_phone_number) {
+      return errorResponse(res, 'New phone number is the same as the current one', 400);
+    }
+
+    const existing = await db.queryOne(
+      'SELECT id FROM users_profiles WHERE phone_number = ? AND id != ?',
+      [new_phone_number, userId]
+    );
+
+    if (existing) {
+      return errorCodeResponse(res, 'This phone number is already registered with another account', 409, 'PHONE_IN_USE');
+    }
+
+    const otpContext = {
+      ip: otpService.getClientIp(req),
+      userAgent: req.headers['user-agent']
+    };
+    const devOtps = {};
+
+    // Current number first - proves the request comes from the account owner
+    if (user.phone_number) {
+      const failed = await sendPhoneChangeOTP(user.phone_number, otpContext, devOtps, 'old_otp');
+      if (failed) {
+        return errorCodeResponse(res, failed.message, failed.status, failed.code, otpService.otpErrorDetails(failed));
+      }
+    }
+
+    const failed = await sendPhoneChangeOTP(new_phone_number, otpContext, devOtps, 'new_otp');
+    if (failed) {
+      return errorCodeResponse(res, failed.message, failed.status, failed.code, otpService.otpErrorDetails(failed));
+    }
+
+    // Only one change can be in progress at a time
+    await db.query(
+      `UPDATE phone_change_requests SET status = 'cancelled', updated_at = NOW()
+       WHERE user_id = ? AND status = 'pending'`,
+      [userId]
+    );
+
+    const result = await db.query(
+      `INSERT INTO phone_change_requests
+       (user_id, old_phone_number, new_phone_number, status, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, 'pending', DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW(), NOW())`,
+      [userId, user.phone_number, new_phone_number, config.account.phoneChangeExpireMinutes]
+    );
+
+    return successResponse(res, 'OTP sent to your current and new phone numbers', {
+      request_id: result.insertId,
+      old_phone_number: maskPhoneNumber(user.phone_number),
+      new_phone_number: maskPhoneNumber(new_phone_number),
+      old_otp_required: !!user.phone_number,
+      expires_in_minutes: config.account.phoneChangeExpireMinutes,
+      retry_after_seconds: config.otp.resendCooldownSeconds,
+      ...devOtps
+    });
+
+  } catch (error) {
+    console.error('Request Phone Change Error:', error);
+    return errorResponse(res, 'Failed to start phone number change', 500);
+  }
+};
+
+// Move the number on the profile and on the user's bookings
+const applyPhoneChange = async (changeRequest) => {
+  const connection = await db.beginTransaction();
+
+  try {
+    const [taken] = await connection.query(
+      'SELECT id FROM users_profiles WHERE phone_number = ? AND id != ? FOR UPDATE',
+      [changeRequest.new_phone_number, changeRequest.user_id]
+    );
+
+    if (taken.length > 0) {
+      await connection.rollback();
+      connection.release();
+      return false;
+    }
+
+    // The unique key catches a number registered after the check above
+    try {
+      await connection.query(
+        'UPDATE users_profiles SET phone_number = ?, updated_at = NOW() WHERE id = ?',
+        [changeRequest.new_phone_number, changeRequest.user_id]
+      );
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+      await connection.rollback();
+      connection.release();
+      return false;
+    }
+
+    await connection.query(
+      `UPDATE theater_bookings
+       SET customer_mobile = ?, user_information = JSON_SET(user_information, '$.phone', ?), updated_at = NOW()
+       WHERE JSON_EXTRACT(user_information, "$.user_id") = ?`,
+      [changeRequest.new_phone_number, changeRequest.new_phone_number, changeRequest.user_id]
+    );
+
+    await connection.query(
+      `UPDATE event_bookings
+       SET user_information = JSON_SET(user_information, '$.phone', ?), updated_at = NOW()
+       WHERE JSON_EXTRACT(user_information, "$.user_id") = ?`,
+      [changeRequest.new_phone_number, changeRequest.user_id]
+    );
+
+    await connection.query(
+      `UPDATE phone_change_requests SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [changeRequest.id]
+    );
+
+    await connection.commit();
+    connection.release();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+};
+
+// Confirm Phone Change - old_otp and new_otp may be sent together or in separate calls
+const confirmPhoneChange = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { request_id, old_otp, new_otp } = req.body;
+
+    if (!request_id || (!old_otp && !new_otp)) {
+      return errorResponse(res, 'Request ID and OTP are required', 400);
+    }
+
+    const changeRequest = await db.queryOne(
+      `SELECT *, expires_at > NOW() as is_active FROM phone_change_requests
+       WHERE id = ? AND user_id = ? AND status = 'pending'`,
+      [request_id, userId]
+    );
+
+    if (!changeRequest || !changeRequest.is_active) {
+      return errorResponse(res, 'Phone change request is invalid or has expired. Please start again', 400);
+    }
+
+    const otpContext = {
+      ip: otpService.getClientIp(req),
+      userAgent: req.headers['user-agent']
+    };
+
+    if (old_otp && changeRequest.old_phone_number && !changeRequest.old_verified_at) {
+      const otpResult = await otpService.consumeOTP(changeRequest.old_phone_number, old_otp, otpContext);
+      if (!otpResult.ok) {
+        return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, {
+          otp_for: 'old_phone_number',
+          ...otpService.otpErrorDetails(otpResult)
+        });
+      }
+      await db.query('UPDATE phone_change_requests SET old_verified_at = NOW(), updated_at = NOW() WHERE id = ?', [changeRequest.id]);
+      changeRequest.old_verified_at = new Date();
+    }
+
+    if (new_otp && !changeRequest.new_verified_at) {
+      const otpResult = await otpService.consumeOTP(changeRequest.new_phone_number, new_otp, otpContext);
+      if (!otpResult.ok) {
+        return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, {
+          otp_for: 'new_phone_number',
+          ...otpService.otpErrorDetails(otpResult)
+        });
+      }
+      await db.query('UPDATE phone_change_requests SET new_verified_at = NOW(), updated_at = NOW() WHERE id = ?', [changeRequest.id]);
+      changeRequest.new_verified_at = new Date();
+    }
+
+    const oldVerified = !changeRequest.old_phone_number || !!changeRequest.old_verified_at;
+    const newVerified = !!changeRequest.new_verified_at;
+
+    if (!oldVerified || !newVerified) {
+      return successResponse(res, 'OTP verified. Please verify the other phone number to complete the change', {
+        request_id: changeRequest.id,
+        old_phone_verified: oldVerified,
+        new_phone_verified: newVerified,
+        completed: false
+      });
+    }
+
+    const applied = await applyPhoneChange(changeRequest);
+    if (!applied) {
+      return errorCodeResponse(res, 'This phone number is already registered with another account', 409, 'PHONE_IN_USE');
+    }
+
+    // Existing tokens carry the old number - sign out everywhere and reissue for this device
+    await sessionService.revokeAllUserSessions(userId, 'phone_changed');
+
+    const user = await db.queryOne('SELECT * FROM users_profiles WHERE id = ?', [userId]);
+    const tokens = await tokenService.issueTokens(user, sessionService.getDeviceInfo(req));
+
+    return successResponse(res, 'Phone number changed successfully', {
+      ...tokens,
+      completed: true,
+      user: {
+        id: user.id,
+        phone_number: user.phone_number,
+        full_name: user.full_name,
+        email: user.email_address
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm Phone Change Error:', error);
+    return errorResponse(res, 'Failed to change phone number', 500);
+  }
+};
+
+// Anonymise one account; booking rows (amounts, seats, dates) are kept for tax records
+const anonymiseAccount = async (userId) => {
+  const connection = await db.beginTransaction();
+
+  try {
+    const [rows] = await connection.query(
+      'SELECT id, phone_number FROM users_profiles WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+    const user = rows[0];
+
+    if (user) {
+      await connection.query(
+        `UPDATE theater_bookings
+         SET customer_name = ?, customer_mobile = '',
+             user_information = JSON_SET(user_information, '$.email', '', '$.phone', ''),
+             updated_at = NOW()
+         WHERE JSON_EXTRACT(user_information, "$.user_id") = ?`,
+        [ANONYMISED_NAME, userId]
+      );
+
+      await connection.query(
+        `UPDATE event_bookings
+         SET user_information = JSON_SET(user_information, '$.name', ?, '$.email', '', '$.phone', ''),
+             updated_at = NOW()
+         WHERE JSON_EXTRACT(user_information, "$.user_id") = ?`,
+        [ANONYMISED_NAME, userId]
+      );
+
+      // Every number the account used, including ones from phone change requests
+      const [phoneChanges] = await connection.query(
+        'SELECT old_phone_number, new_phone_number FROM phone_change_requests WHERE user_id = ?',
+        [userId]
+      );
+      const phoneNumbers = [...new Set([
+        user.phone_number,
+        ...phoneChanges.flatMap(change => [change.old_phone_number, change.new_phone_number])
+      ].filter(Boolean))];
+
+      if (phoneNumbers.length > 0) {
+        await connection.query('DELETE FROM otps WHERE phone_number IN (?)', [phoneNumbers]);
+        await connection.query('DELETE FROM otp_attempts WHERE phone_number IN (?)', [phoneNumbers]);
+        await connection.query(
+          "DELETE FROM otp_lockouts WHERE scope = 'phone' AND identifier IN (?)",
+          [phoneNumbers]
+        );
+      }
+
+      await connection.query('DELETE FROM phone_change_requests WHERE user_id = ?', [userId]);
+      await connection.query('DELETE FROM email_verifications WHERE user_id = ?', [userId]);
+      await connection.query('DELETE FROM account_link_requests WHERE user_id = ?', [userId]);
+
+      // Sessions are kept (and revoked below) without the device and network details
+      await connection.query(
+        `UPDATE user_sessions
+         SET device_id = NULL, device_name = NULL, ip_address = NULL, user_agent = NULL
+         WHERE user_id = ?`,
+        [userId]
+      );
+      await connection.query('UPDATE refresh_tokens SET created_ip = NULL WHERE user_id = ?', [userId]);
+
+      // Referral fraud-check fingerprints
+      await connection.query(
+        'UPDATE payment_transactions SET instrument_fingerprint = NULL WHERE user_id = ?',
+        [userId]
+      );
+      await connection.query(
+        'UPDATE referral_rewards SET referee_device_id = NULL, updated_at = NOW() WHERE referee_id = ?',
+        [userId]
+      );
+
+      await connection.query(
+        `UPDATE users_profiles
+         SET full_name = ?, phone_number = NULL, email_address = NULL, google_id = NULL,
+             gender = NULL, city = NULL, date_of_birth = NULL, referral_code = NULL,
+             status = 'deleted', updated_at = NOW()
+         WHERE id = ?`,
+        [ANONYMISED_NAME, userId]
+      );
+    }
+
+    await connection.query(
+      `UPDATE account_deletion_requests
+       SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+       WHERE user_id = ? AND status = 'pending'`,
+      [userId]
+    );
+
+    await connection.commit();
+    connection.release();
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+
+  await sessionService.revokeAllUserSessions(userId, 'account_deleted');
+};
+
+// Background task - anonymise accounts whose grace period has ended
+const processAccountDeletions = async () => {
+  try {
+    const dueRequests = await db.query(
+      `SELECT DISTINCT user_id FROM account_deletion_requests
+       WHERE status = 'pending' AND scheduled_for <= NOW()`
+    );
+
+    for (const request of dueRequests) {
+      try {
+        await anonymiseAccount(request.user_id);
+        console.log(`✅ Anonymised account ${request.user_id}`);
+      } catch (error) {
+        console.error(`Error anonymising account ${request.user_id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing account deletions:', error);
+  }
+};
+
+module.exports = {
+  deleteAccount,
+  cancelDeleteAccount,
+  exportData,
+  requestPhoneChange,
+  confirmPhoneChange,
+  processAccountDeletions
+};
@@ -1,10 +1,23 @@
 const db = require('../config/db');
-const { generateToken } = require('../utils/jwtHelper');
-const { successResponse, errorResponse } = require('../utils/responseHelper');
+const tokenService = require('../utils/tokenService');
+const sessionService = require('../utils/sessionService');
+const { successResponse, errorResponse, errorCodeResponse } = require('../utils/responseHelper');
 const { generateReferralCode } = require('../utils/referralHelper');
+const otpService = require('../utils/otpService');
+const emailVerification = require('../utils/emailVerification');
+const loyaltyLedger = require('../utils/loyaltyLedger');
+const referralService = require('../utils/referralService');
+const loyaltyProgram = require('../utils/loyaltyProgram');
+const loyaltyExpiry = require('../utils/loyaltyExpiry');
+const { maskPhoneNumber } = require('../utils/otpGenerator');
+const { verifyIdToken: verifyGoogleIdToken } = require('../utils/googleAuth');
+const config = require('../config/config');
 const axios = require('axios');
+const crypto = require('crypto');
 const FormData = require('form-data');
 
+const { hashToken } = tokenService;
+
 // Send OTP
 const sendOTP = async (req, res) => {
   try {
@@ -28,23 +41,28 @@ const sendOTP = async (req, res) => {
 
     const isRegistered = (existingUser && existingUser.isverified == 1) ? true : false;
 
-    // Static OTP - 1234
-    const otp = '1234';
-
-    // Delete old OTPs for this phone number
-    await db.query('DELETE FROM otps WHERE phone_number = ?', [phone_number]);
+    const otpResult = await otpService.issueOTP(phone_number, {
+      ip: otpService.getClientIp(req),
+      userAgent: req.headers['user-agent']
+    });
 
-    // Insert new OTP
-    await db.query(
-      'INSERT INTO otps (phone_number, otp_code, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 5 MINUTE))',
-      [phone_number, otp]
-    );
+    if (!otpResult.ok) {
+      return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, otpService.otpErrorDetails(otpResult));
+    }
 
-    return successResponse(res, 'OTP sent successfully', {
+    const responseData = {
       phone_number,
-      otp: otp, // For testing - remove in production
+      expires_in_minutes: config.otp.expireMinutes,
+      retry_after_seconds: otpResult.retryAfterSeconds,
       is_registered: isRegistered
-    });
+    };
+
+    // Expose the code only for local development with the console provider
+    if (config.nodeEnv !== 'production' && otpResult.providerName === 'console') {
+      responseData.otp = otpResult.otp;
+    }
+
+    return successResponse(res, 'OTP sent successfully', responseData);
 
   } catch (error) {
     console.error('Send OTP Error:', error);
@@ -67,19 +85,16 @@ const verifyOTP = async (req, res) => {
       return errorResponse(res, 'Phone number must be exactly 10 digits', 400);
     }
 
-    // Check OTP
-    const otpRecord = await db.queryOne(
-      'SELECT * FROM otps WHERE phone_number = ? AND otp_code = ? AND is_verified = 0 AND expires_at > NOW()',
-      [phone_number, otp]
-    );
+    // Check OTP (attempt counters and lockouts are handled by the OTP service)
+    const otpResult = await otpService.consumeOTP(phone_number, otp, {
+      ip: otpService.getClientIp(req),
+      userAgent: req.headers['user-agent']
+    });
 
-    if (!otpRecord) {
-      return errorResponse(res, 'Invalid or expired OTP', 400);
+    if (!otpResult.ok) {
+      return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, otpService.otpErrorDetails(otpResult));
     }
 
-    // Mark OTP as verified
-    await db.query('UPDATE otps SET is_verified = 1 WHERE id = ?', [otpRecord.id]);
-
     // Check if user exists (registered user)
     let user = await db.queryOne(
       'SELECT * FROM users_profiles WHERE phone_number = ?',
@@ -99,18 +114,14 @@ const verifyOTP = async (req, res) => {
       );
     }
 
-    // Generate JWT token for both new and existing users
-    const token = generateToken({
-      id: user.id,
-      phone_number: user.phone_number,
-      email: user.email_address
-    });
+    // Issue access + refresh tokens for both new and existing users
+    const tokens = await tokenService.issueTokens(user, sessionService.getDeviceInfo(req));
 
     // Check if user completed profile
     const isRegistered = (user.isverified == 1) ? true : false;
 
     return successResponse(res, 'Login successful', {
-      token,
+      ...tokens,
       is_registered: isRegistered,
       user: {
         id: user.id,
@@ -127,6 +138,19 @@ const verifyOTP = async (req, res) => {
   }
 };
 
+// Send a verification mail for a new address and describe the outcome for the response
+const startEmailVerification = async (userId, email, fullName) => {
+  const result = await emailVerification.startVerification(userId, email, { fullName });
+
+  return {
+    pending_email: emailVerification.normaliseEmail(email),
+    sent: result.ok,
+    error_code: result.ok ? null : result.code,
+    message: result.ok ? 'Verification email sent' : result.message,
+    retry_after_seconds: result.retryAfterSeconds || null
+  };
+};
+
 // Complete Profile (Update user details after registration)
 const completeProfile = async (req, res) => {
   try {
@@ -145,11 +169,8 @@ const completeProfile = async (req, res) => {
     }
 
     // Validate email if provided
-    if (email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return errorResponse(res, 'Invalid email format', 400);
-      }
+    if (email && !emailVerification.isValidEmail(email)) {
+      return errorResponse(res, 'Invalid email format', 400);
     }
 
     // Get current user
@@ -168,9 +189,10 @@ const completeProfile = async (req, res) => {
     }
 
     // Validate referral code if provided
+    let referredByUser = null;
     if (referred_by) {
-      const referredByUser = await db.queryOne(
-        'SELECT id, referral_code, loyality_points FROM users_profiles WHERE referral_code = ?',
+      referredByUser = await db.queryOne(
+        'SELECT id, referral_code FROM users_profiles WHERE referral_code = ?',
         [referred_by]
       );
 
@@ -178,18 +200,9 @@ const completeProfile = async (req, res) => {
         return errorResponse(res, 'Invalid referral code', 400);
       }
 
-      // Get referral amount from admin settings
-      const settings = await db.queryOne('SELECT referral_amount FROM admin_settings LIMIT 1');
-      const referralAmount = settings ? parseFloat(settings.referral_amount) : 50;
-
-      // Add referral points to the referrer's loyalty points
-      const currentPoints = parseFloat(referredByUser.loyality_points) || 0;
-      const newPoints = currentPoints + referralAmount;
-
-      await db.query(
-        'UPDATE users_profiles SET loyality_points = ? WHERE id = ?',
-        [newPoints, referredByUser.id]
-      );
+      if (referredByUser.id == userId) {
+        return errorResponse(res, 'You cannot use your own referral code', 400);
+      }
     }
 
     // Generate unique referral code if user doesn't have one
@@ -211,10 +224,27 @@ const completeProfile = async (req, res) => {
 
     // Update user profile - Mark as registered
     await db.query(
-      'UPDATE users_profiles SET full_name = ?, email_address = ?, referral_code = ?, referred_by = ?, isverified = 1, updated_at = NOW() WHERE id = ?',
-      [full_name, email || null, referralCode, referred_by || null, userId]
+      'UPDATE users_profiles SET full_name = ?, referral_code = ?, referred_by = ?, isverified = 1, updated_at = NOW() WHERE id = ?',
+      [full_name, referralCode, referred_by || null, userId]
     );
 
+    // Referrer is rewarded only after this user's first paid booking
+    if (referredByUser) {
+      const session = await db.queryOne('SELECT device_id FROM user_sessions WHERE id = ?', [req.user.sid]);
+      await referralService.createPendingReward({
+        referrerId: referredByUser.id,
+        refereeId: userId,
+        referralCode: referredByUser.referral_code,
+        deviceId: session?.device_id || sessionService.getDeviceInfo(req).device_id
+      });
+    }
+
+    // Email is only saved on the profile once the user verifies it
+    let emailVerificationStatus = null;
+    if (email && emailVerification.normaliseEmail(email) !== user.email_address) {
+      emailVerificationStatus = await startEmailVerification(userId, email, full_name);
+    }
+
     // Get updated user
     const updatedUser = await db.queryOne(
       'SELECT * FROM users_profiles WHERE id = ?',
@@ -228,8 +258,10 @@ const completeProfile = async (req, res) => {
         phone_number: updatedUser.phone_number,
         full_name: updatedUser.full_name,
         email: updatedUser.email_address,
+        email_verified: !!updatedUser.email_verified_at,
         referral_code: updatedUser.referral_code
-      }
+      },
+      email_verification: emailVerificationStatus
     });
 
   } catch (error) {
@@ -238,26 +270,106 @@ const completeProfile = async (req, res) => {
   }
 };
 
+// Start linking a Google identity to an existing phone-OTP account (confirmed by OTP on that phone)
+const startGoogleLink = async (req, res, user, googleUser) => {
+  const otpResult = await otpService.issueOTP(user.phone_number, {
+    ip: otpService.getClientIp(req),
+    userAgent: req.headers['user-agent']
+  });
+
+  if (!otpResult.ok) {
+    return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, otpService.otpErrorDetails(otpResult));
+  }
+
+  const linkToken = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `INSERT INTO account_link_requests
+     (user_id, provider, provider_user_id, email, name, token_hash, expires_at, created_at)
+     VALUES (?, 'google', ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+    [
+      user.id,
+      googleUser.google_id,
+      googleUser.email,
+      googleUser.name,
+      hashToken(linkToken),
+      config.google.linkExpireMinutes
+    ]
+  );
+
+  const responseData = {
+    link_required: true,
+    link_token: linkToken,
+    phone_number: maskPhoneNumber(user.phone_number),
+    expires_in_minutes: config.google.linkExpireMinutes,
+    retry_after_seconds: otpResult.retryAfterSeconds
+  };
+
+  if (config.nodeEnv !== 'production' && otpResult.providerName === 'console') {
+    responseData.otp = otpResult.otp;
+  }
+
+  return successResponse(res, 'An account with these details already exists. Enter the OTP sent to your phone to link Google sign-in', responseData);
+};
+
 // Google Sign In
 const googleSignIn = async (req, res) => {
   try {
-    const { google_token, email, name } = req.body;
+    const { google_token, phone_number } = req.body;
 
-    if (!email) {
-      return errorResponse(res, 'Email is required', 400);
+    if (!google_token) {
+      return errorResponse(res, 'Google token is required', 400);
+    }
+
+    // Verify the ID token with Google - never trust client supplied email / name
+    let googleUser;
+    try {
+      googleUser = await verifyGoogleIdToken(google_token);
+    } catch (verifyError) {
+      console.error('Google Token Verification Error:', verifyError.message);
+      return errorResponse(res, 'Invalid Google token', 401);
     }
 
-    // Check if user exists by email
+    if (!googleUser.email || !googleUser.email_verified) {
+      return errorResponse(res, 'Google account email is not verified', 401);
+    }
+
+    // 1. Already linked Google identity
     let user = await db.queryOne(
-      'SELECT * FROM users_profiles WHERE email_address = ?',
-      [email]
+      'SELECT * FROM users_profiles WHERE google_id = ?',
+      [googleUser.google_id]
     );
 
-    // If user doesn't exist, create new user
+    if (!user) {
+      // 2. Existing account with the same email, or the phone number the user says is theirs
+      const existingUser = await db.queryOne(
+        'SELECT * FROM users_profiles WHERE email_address = ? AND google_id IS NULL ORDER BY id ASC LIMIT 1',
+        [googleUser.email]
+      ) || (phone_number ? await db.queryOne(
+        'SELECT * FROM users_profiles WHERE phone_number = ? AND google_id IS NULL',
+        [phone_number]
+      ) : null);
+
+      if (existingUser && existingUser.phone_number) {
+        // Phone-OTP account - link only after the owner confirms with an OTP
+        return await startGoogleLink(req, res, existingUser, googleUser);
+      }
+
+      if (existingUser) {
+        // Legacy Google account created from the same email before token verification - attach the identity
+        await db.query(
+          'UPDATE users_profiles SET google_id = ?, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = ?',
+          [googleUser.google_id, existingUser.id]
+        );
+        user = await db.queryOne('SELECT * FROM users_profiles WHERE id = ?', [existingUser.id]);
+      }
+    }
+
+    // 3. New user
     if (!user) {
       const result = await db.query(
-        'INSERT INTO users_profiles (email_address, full_name, isverified, status, created_at) VALUES (?, ?, 1, "active", NOW())',
-        [email, name || '']
+        'INSERT INTO users_profiles (email_address, email_verified_at, google_id, full_name, isverified, status, created_at) VALUES (?, NOW(), ?, ?, 1, "active", NOW())',
+        [googleUser.email, googleUser.google_id, googleUser.name]
       );
       
       user = await db.queryOne(
@@ -266,15 +378,12 @@ const googleSignIn = async (req, res) => {
       );
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      id: user.id,
-      phone_number: user.phone_number,
-      email: user.email_address
-    });
+    // Issue access + refresh tokens
+    const tokens = await tokenService.issueTokens(user, sessionService.getDeviceInfo(req));
 
     return successResponse(res, 'Google sign-in successful', {
-      token,
+      ...tokens,
+      link_required: false,
       user: {
         id: user.id,
         phone_number: user.phone_number,
@@ -289,11 +398,98 @@ const googleSignIn = async (req, res) => {
   }
 };
 
+// Confirm Google account linking with the OTP sent to the existing account's phone
+const confirmGoogleLink = async (req, res) => {
+  try {
+    const { link_token, otp } = req.body;
+
+    if (!link_token || !otp) {
+      return errorResponse(res, 'Link token and OTP are required', 400);
+    }
+
+    const linkRequest = await db.queryOne(
+      `SELECT * FROM account_link_requests
+       WHERE token_hash = ? AND provider = 'google' AND confirmed_at IS NULL AND expires_at > NOW()`,
+      [hashToken(link_token)]
+    );
+
+    if (!linkRequest) {
+      return errorResponse(res, 'Link request is invalid or has expired. Please sign in with Google again', 400);
+    }
+
+    const user = await db.queryOne(
+      'SELECT * FROM users_profiles WHERE id = ?',
+      [linkRequest.user_id]
+    );
+
+    if (!user || !user.phone_number) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const otpResult = await otpService.consumeOTP(user.phone_number, otp, {
+      ip: otpService.getClientIp(req),
+      userAgent: req.headers['user-agent']
+    });
+
+    if (!otpResult.ok) {
+      return errorCodeResponse(res, otpResult.message, otpResult.status, otpResult.code, otpService.otpErrorDetails(otpResult));
+    }
+
+    // Identity may have been linked to another account while this request was pending
+    const alreadyLinked = await db.queryOne(
+      'SELECT id FROM users_profiles WHERE google_id = ? AND id != ?',
+      [linkRequest.provider_user_id, user.id]
+    );
+
+    if (alreadyLinked) {
+      return errorResponse(res, 'This Google account is already linked to another user', 409);
+    }
+
+    // Keep the user's own email if they have one, otherwise adopt the verified Google email.
+    // Google has verified its address, so mark it verified when it is (or becomes) the profile email.
+    await db.query(
+      `UPDATE users_profiles
+       SET google_id = ?,
+           email_verified_at = IF(email_address IS NULL OR email_address = ?, COALESCE(email_verified_at, NOW()), email_verified_at),
+           email_address = COALESCE(email_address, ?),
+           updated_at = NOW()
+       WHERE id = ?`,
+      [linkRequest.provider_user_id, linkRequest.email, linkRequest.email, user.id]
+    );
+
+    await db.query(
+      'UPDATE account_link_requests SET confirmed_at = NOW() WHERE id = ?',
+      [linkRequest.id]
+    );
+
+    const linkedUser = await db.queryOne(
+      'SELECT * FROM users_profiles WHERE id = ?',
+      [user.id]
+    );
+
+    const tokens = await tokenService.issueTokens(linkedUser, sessionService.getDeviceInfo(req));
+
+    return successResponse(res, 'Google account linked successfully', {
+      ...tokens,
+      is_registered: linkedUser.isverified == 1,
+      user: {
+        id: linkedUser.id,
+        phone_number: linkedUser.phone_number,
+        full_name: linkedUser.full_name,
+        email: linkedUser.email_address
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm Google Link Error:', error);
+    return errorResponse(res, 'Failed to link Google account', 500);
+  }
+};
+
 // Get Profile
 const getProfile = async (req, res) => {
   try {
     const userId = req.user.id;
-    const config = require('../config/config');
 
     const user = await db.queryOne(
       'SELECT * FROM users_profiles WHERE id = ?',
@@ -331,21 +527,35 @@ const getProfile = async (req, res) => {
       console.log('No profile picture found');
     }
 
+    const pendingEmail = await emailVerification.getPendingVerification(userId);
+    const loyaltyBalance = await loyaltyLedger.getBalance(userId);
+    const membership = await loyaltyProgram.getMembership(userId);
+    const nextExpiry = await loyaltyExpiry.getNextExpiry(userId);
+
     return successResponse(res, 'Profile fetched successfully', {
       is_registered: user.isverified == 1 ? true : false,
       user: {
         id: user.id,
         phone_number: user.phone_number,
         email: user.email_address,
+        email_verified: !!user.email_verified_at,
+        // Set for addresses saved before verification existed; POST /auth/resend-email-verification sends the mail
+        email_verification_required: !!user.email_address && !user.email_verified_at,
+        pending_email: pendingEmail && pendingEmail.is_active ? pendingEmail.email : null,
         full_name: user.full_name,
         gender: genderLabel,
         city: user.city,
         date_of_birth: dateOfBirth,
         booking_type: user.booking_type,
-        loyality_points: user.loyality_points,
+        loyality_points: loyaltyBalance,
+        loyalty_tier: membership,
+        points_expiring_next: nextExpiry.points,
+        points_expiring_next_date: nextExpiry.expires_on,
         referral_code: user.referral_code,
         status: user.status,
-        profile_picture: profilePicture
+        profile_picture: profilePicture,
+        roles: req.user.roles || [],
+        permissions: req.user.permissions || []
       }
     });
 
@@ -373,7 +583,6 @@ const updateProfile = async (req, res) => {
     const userId = req.user.id;
     console.log('✅ User authenticated - ID:', userId);
     
-    const config = require('../config/config');
     const { full_name, email, gender, city, date_of_birth } = req.body;
 
     console.log('Fields to update:', { full_name, email, gender, city, date_of_birth });
@@ -385,9 +594,8 @@ const updateProfile = async (req, res) => {
       updates.push('full_name = ?');
       values.push(full_name);
     }
-    if (email) {
-      updates.push('email_address = ?');
-      values.push(email);
+    if (email && !emailVerification.isValidEmail(email)) {
+      return errorResponse(res, 'Invalid email format', 400);
     }
     if (gender) {
       updates.push('gender = ?');
@@ -466,6 +674,12 @@ const updateProfile = async (req, res) => {
       [userId]
     );
 
+    // A changed email only replaces the current one after verification
+    let emailVerificationStatus = null;
+    if (email && emailVerification.normaliseEmail(email) !== user.email_address) {
+      emailVerificationStatus = await startEmailVerification(userId, email, user.full_name);
+    }
+
     console.log('✅ Profile updated successfully');
     console.log('========== UPDATE PROFILE END ==========');
 
@@ -474,12 +688,14 @@ const updateProfile = async (req, res) => {
         id: user.id,
         phone_number: user.phone_number,
         email: user.email_address,
+        email_verified: !!user.email_verified_at,
         full_name: user.full_name,
         gender: user.gender,
         city: user.city,
         date_of_birth: user.date_of_birth,
         profile_picture: profilePicture
-      }
+      },
+      email_verification: emailVerificationStatus
     });
 
   } catch (error) {
@@ -491,31 +707,189 @@ const updateProfile = async (req, res) => {
   }
 };
 
-// Refresh Token
+// Refresh Token - exchanges a refresh token for a new access + refresh token pair (rotation)
 const refreshToken = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return errorResponse(res, 'Refresh token is required', 400);
+    }
+
+    const result = await tokenService.refreshSession(refresh_token, { ip: otpService.getClientIp(req) });
+
+    if (!result.ok) {
+      return errorCodeResponse(res, result.message, 401, result.code);
+    }
+
+    return successResponse(res, 'Token refreshed successfully', result.tokens);
+
+  } catch (error) {
+    console.error('Refresh Token Error:', error);
+    return errorResponse(res, 'Failed to refresh token', 500);
+  }
+};
+
+// Logout - revokes the session the access token belongs to
+const logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sid, 'logout');
+
+    return successResponse(res, 'Logged out successfully');
+
+  } catch (error) {
+    console.error('Logout Error:', error);
+    return errorResponse(res, 'Failed to logout', 500);
+  }
+};
+
+// Logout All - revokes every session of the user (all devices)
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllUserSessions(req.user.id, 'logout_all');
+
+    return successResponse(res, 'Logged out from all devices successfully', {
+      revoked_sessions: revoked
+    });
+
+  } catch (error) {
+    console.error('Logout All Error:', error);
+    return errorResponse(res, 'Failed to logout from all devices', 500);
+  }
+};
+
+// Verify Email - in-app confirmation with the emailed code
+const verifyEmail = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return errorResponse(res, 'Verification code is required', 400);
+    }
+
+    const result = await emailVerification.verifyCode(req.user.id, String(code));
+
+    if (!result.ok) {
+      const details = result.attemptsRemaining !== undefined ? { attempts_remaining: result.attemptsRemaining } : {};
+      return errorCodeResponse(res, result.message, result.status, result.code, details);
+    }
+
+    return successResponse(res, 'Email verified successfully', {
+      email: result.email,
+      email_verified: true
+    });
+
+  } catch (error) {
+    console.error('Verify Email Error:', error);
+    return errorResponse(res, 'Failed to verify email', 500);
+  }
+};
+
+// Verify Email Link - target of the link in the verification mail (no login required)
+const verifyEmailLink = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return errorResponse(res, 'Verification token is required', 400);
+    }
+
+    const result = await emailVerification.verifyToken(String(token));
+
+    if (!result.ok) {
+      return errorCodeResponse(res, result.message, result.status, result.code);
+    }
+
+    return successResponse(res, 'Email verified successfully', {
+      email: result.email,
+      email_verified: true
+    });
+
+  } catch (error) {
+    console.error('Verify Email Link Error:', error);
+    return errorResponse(res, 'Failed to verify email', 500);
+  }
+};
+
+// Resend Email Verification - for the address currently pending verification
+const resendEmailVerification = async (req, res) => {
   try {
     const userId = req.user.id;
 
     const user = await db.queryOne(
-      'SELECT * FROM users_profiles WHERE id = ?',
+      'SELECT full_name, email_address, email_verified_at FROM users_profiles WHERE id = ?',
       [userId]
     );
 
-    if (!user) {
-      return errorResponse(res, 'User not found', 404);
+    // A pending change, or else a current address saved before verification existed
+    const pending = await emailVerification.getPendingVerification(userId);
+    const email = pending ? pending.email : (user && user.email_address && !user.email_verified_at ? user.email_address : null);
+    if (!email) {
+      return errorResponse(res, 'No pending email verification', 404);
     }
 
-    const token = generateToken({
-      id: user.id,
-      phone_number: user.phone_number,
-      email: user.email_address
+    const result = await emailVerification.startVerification(userId, email, { fullName: user?.full_name });
+
+    if (!result.ok) {
+      const details = result.retryAfterSeconds !== undefined ? { retry_after_seconds: result.retryAfterSeconds } : {};
+      return errorCodeResponse(res, result.message, result.status, result.code, details);
+    }
+
+    return successResponse(res, 'Verification email sent', {
+      pending_email: result.pendingEmail,
+      expires_in_hours: result.expiresInHours,
+      retry_after_seconds: result.retryAfterSeconds
     });
 
-    return successResponse(res, 'Token refreshed successfully', { token });
+  } catch (error) {
+    console.error('Resend Email Verification Error:', error);
+    return errorResponse(res, 'Failed to resend verification email', 500);
+  }
+};
+
+// Get Sessions - devices the user is currently signed in on
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.id);
+
+    return successResponse(res, 'Sessions fetched successfully', {
+      sessions: sessions.map(session => ({
+        id: session.id,
+        device_name: session.device_name,
+        platform: session.platform,
+        app_version: session.app_version,
+        ip_address: session.ip_address,
+        last_seen_at: session.last_seen_at,
+        signed_in_at: session.created_at,
+        is_current: session.id === req.user.sid
+      }))
+    });
 
   } catch (error) {
-    console.error('Refresh Token Error:', error);
-    return errorResponse(res, 'Failed to refresh token', 500);
+    console.error('Get Sessions Error:', error);
+    return errorResponse(res, 'Failed to fetch sessions', 500);
+  }
+};
+
+// Delete Session - sign out a specific device (e.g. a lost phone)
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const revoked = await sessionService.revokeSession(id, 'signed_out_remotely', req.user.id);
+
+    if (!revoked) {
+      return errorResponse(res, 'Session not found', 404);
+    }
+
+    return successResponse(res, 'Session signed out successfully', {
+      id,
+      is_current: id === req.user.sid
+    });
+
+  } catch (error) {
+    console.error('Delete Session Error:', error);
+    return errorResponse(res, 'Failed to sign out session', 500);
   }
 };
 
@@ -524,7 +898,15 @@ module.exports = {
   verifyOTP,
   completeProfile,
   googleSignIn,
+  confirmGoogleLink,
   getProfile,
   updateProfile,
-  refreshToken
+  refreshToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  verifyEmailLink,
+  resendEmailVerification,
+  getSessions,
+  deleteSession
 };
\ No newline at end of file
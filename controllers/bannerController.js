@@ -1,6 +1,6 @@
 const db = require('../config/db');
 const axios = require('axios');
-const config = require('../config/config');
+const { getMediaUrl } = require('../utils/mediaUrl');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 
 // Get all active banners
@@ -21,27 +21,12 @@ const getBanners = async (req, res) => {
     const result = await Promise.all(
       banners.map(async (banner) => {
         try {
-          // Get media files for this banner
-          const media = await db.queryOne(
-            `SELECT id, file_name, mime_type, disk, conversions_disk, uuid, collection_name, size
-             FROM media 
-             WHERE model_type = 'App\\\\Models\\\\MobileAppBanner' 
-             AND model_id = ? 
-             AND collection_name = 'mobile_app_banner_banner_image'
-             ORDER BY order_column ASC
-             LIMIT 1`,
-            [banner.id]
-          );
-
-          let bannerImage = null;
-
-          if (media) {
-            // Construct image URL
-            const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-            const storagePath = `/storage/${media.id}`;
-            
-            bannerImage = `${baseUrl}${storagePath}/${media.file_name}`;
-          }
+          // Get the banner image URL
+          const bannerImage = await getMediaUrl({
+            modelType: 'App\\Models\\MobileAppBanner',
+            modelId: banner.id,
+            collection: 'mobile_app_banner_banner_image'
+          });
 
           return {
             id: banner.id,
@@ -1,5 +1,19 @@
 const db = require('../config/db');
-const { successResponse, errorResponse } = require('../utils/responseHelper');
+const config = require('../config/config');
+const { successResponse, errorResponse, errorCodeResponse } = require('../utils/responseHelper');
+const { getReceiptEmail } = require('../utils/emailVerification');
+const loyaltyLedger = require('../utils/loyaltyLedger');
+const referralService = require('../utils/referralService');
+const loyaltyProgram = require('../utils/loyaltyProgram');
+const walletService = require('../utils/walletService');
+const seatLockService = require('../utils/seatLockService');
+const bookedSeatService = require('../utils/bookedSeatService');
+const seatEvents = require('../utils/seatEvents');
+const seatAttributes = require('../utils/seatAttributes');
+const seatRecommender = require('../utils/seatRecommender');
+const orphanSeatRule = require('../utils/orphanSeatRule');
+const cache = require('../utils/cache');
+const { getMediaUrl } = require('../utils/mediaUrl');
 
 const safeJSONParse = (jsonString, fieldName = 'field', defaultValue = []) => {
     // If it's already an array or object, return it as-is
@@ -55,26 +69,55 @@ const safeJSONParse = (jsonString, fieldName = 'field', defaultValue = []) => {
 // Helper function to cleanup pending bookings older than 15 minutes
 const cleanupPendingBookings = async () => {
     try {
-        // Clean up pending bookings older than 15 minutes
+        // Clean up pending bookings older than the longest seat hold; their seats can no longer be held
         const bookingResult = await db.query(
             `UPDATE theater_bookings 
              SET status = 2, updated_at = NOW() 
              WHERE status = 0 
-             AND created_at < DATE_SUB(NOW(), INTERVAL 15 MINUTE)
-             AND deleted_at IS NULL`
+             AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+             AND deleted_at IS NULL`,
+            [config.seatLock.maxHoldMinutes]
         );
 
         if (bookingResult.affectedRows > 0) {
             console.log(`✅ Cleaned up ${bookingResult.affectedRows} stale pending bookings.`);
         }
 
-        // Clean up expired seat locks
-        const lockResult = await db.query(
-            'DELETE FROM seat_locks WHERE expires_at < NOW()'
+        // Hold starts past the maximum hold; every lock under them has expired
+        await db.query(
+            'DELETE FROM seat_holds WHERE started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)',
+            [config.seatLock.maxHoldMinutes]
         );
 
-        if (lockResult.affectedRows > 0) {
-            console.log(`✅ Cleaned up ${lockResult.affectedRows} expired seat locks.`);
+        // Clean up expired seat locks and tell seat map viewers they are free again. The rows are
+        // locked while selected, so exactly those are deleted and announced
+        const connection = await db.beginTransaction();
+        let expiredLocks;
+        try {
+            [expiredLocks] = await connection.query(
+                'SELECT id, schedule_id, seat_number FROM seat_locks WHERE expires_at < NOW() FOR UPDATE'
+            );
+            if (expiredLocks.length > 0) {
+                await connection.query('DELETE FROM seat_locks WHERE id IN (?)', [expiredLocks.map(lock => lock.id)]);
+            }
+            await connection.commit();
+            connection.release();
+        } catch (error) {
+            await connection.rollback();
+            connection.release();
+            throw error;
+        }
+
+        if (expiredLocks.length > 0) {
+            console.log(`✅ Cleaned up ${expiredLocks.length} expired seat locks.`);
+
+            const seatsBySchedule = {};
+            expiredLocks.forEach(lock => {
+                (seatsBySchedule[lock.schedule_id] = seatsBySchedule[lock.schedule_id] || []).push(lock.seat_number);
+            });
+            Object.entries(seatsBySchedule).forEach(([scheduleId, seats]) => {
+                seatEvents.publish(scheduleId, seats, seatEvents.SEAT_STATUS.AVAILABLE);
+            });
         }
     } catch (error) {
         console.error('Error during cleanup:', error);
@@ -83,10 +126,10 @@ const cleanupPendingBookings = async () => {
 
 const getCategoryName = async (categoryId) => {
     try {
-        const category = await db.queryOne(
+        const category = await cache.remember(cache.NAMESPACES.CATEGORIES, categoryId, () => db.queryOne(
             'SELECT category FROM pricing_managements WHERE id = ?',
             [categoryId]
-        );
+        ));
         return category?.category || 'Regular';
     } catch (error) {
         console.error('Error fetching category:', error);
@@ -97,13 +140,13 @@ const getCategoryName = async (categoryId) => {
 // Helper function to get movie translation
 const getMovieTranslation = async (movieId, languageCode = 'kn') => {
     try {
-        const translation = await db.queryOne(
+        const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `movie:${movieId}:${languageCode}`, () => db.queryOne(
             `SELECT mt.*, l.code as language_code
              FROM show_management_translations mt
              JOIN languages l ON mt.language_id = l.id
              WHERE mt.show_management_id = ? AND l.code = ? AND l.is_active = 1`,
             [movieId, languageCode]
-        );
+        ));
         return translation;
     } catch (error) {
         console.error('Error fetching movie translation:', error.message);
@@ -114,13 +157,13 @@ const getMovieTranslation = async (movieId, languageCode = 'kn') => {
 // Helper function to get theater translation
 const getTheaterTranslation = async (theaterId, languageCode = 'kn') => {
     try {
-        const translation = await db.queryOne(
+        const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `theater:${theaterId}:${languageCode}`, () => db.queryOne(
             `SELECT tt.*, l.code as language_code
              FROM theater_translations tt
              JOIN languages l ON tt.language_id = l.id
              WHERE tt.theater_id = ? AND l.code = ? AND l.is_active = 1`,
             [theaterId, languageCode]
-        );
+        ));
         return translation;
     } catch (error) {
         console.error('Error fetching theater translation:', error.message);
@@ -173,24 +216,7 @@ const getSeatLayout = async (req, res) => {
         const pricingData = safeJSONParse(schedule.pricing_data, 'pricing_data', {});
 
         // Get booked seats for this specific schedule
-        const bookings = await db.query(
-            `SELECT seats_booked FROM theater_bookings 
-       WHERE schedule_id = ? 
-       AND status IN (1, 3)
-       AND deleted_at IS NULL`,
-            [schedule_id]
-        );
-
-        // Extract all booked seat IDs
-        const bookedSeats = [];
-        bookings.forEach(booking => {
-            const seats = safeJSONParse(booking.seats_booked, 'seats_booked', []);
-            seats.forEach(seat => {
-                if (seat.id) {
-                    bookedSeats.push(seat.id);
-                }
-            });
-        });
+        const bookedSeats = await bookedSeatService.getBookedSeats(schedule_id);
 
         // Get locked seats (excluding current user's locks so they can see their own selection)
         const currentUserId = req.user?.id || null;
@@ -251,6 +277,7 @@ const getSeatLayout = async (req, res) => {
 
         // Filter and format seats - ONLY online quota
         const onlineSeats = seatAllocation.online_seats || [];
+        const couplePairs = seatAttributes.getCouplePairs(layoutData);
         const formattedSeats = [];
 
         for (const seat of layoutData) {
@@ -283,7 +310,9 @@ const getSeatLayout = async (req, res) => {
                     seat_number: seat.seat_number,
                     category: categoryName,
                     price: pricing[categoryKey] || 0,
-                    status: seatStatus  // Returns: 'available', 'locked', or 'booked'
+                    status: seatStatus,  // Returns: 'available', 'locked', or 'booked'
+                    attributes: seatAttributes.getSeatAttributes(seat),  // wheelchair, companion, aisle, recliner, couple
+                    pair_seat: couplePairs[seat.seat_number] || null
                 });
             }
         }
@@ -324,97 +353,172 @@ const getSeatLayout = async (req, res) => {
     }
 };
 
-// Lock seats temporarily (15 minutes)
-const lockSeats = async (req, res) => {
+// Suggest the best N adjacent available seats (quick-book)
+const recommendSeats = async (req, res) => {
     try {
-        console.log('========== LOCK SEATS ==========');
+        const { schedule_id } = req.params;
+        const count = parseInt(req.query.count, 10);
+        const category = req.query.category ? String(req.query.category).trim().toLowerCase() : null;
+        const maxSeats = config.seatLock.maxSeatsPerSchedule;
 
-        if (!req.user || !req.user.id) {
-            return errorResponse(res, 'Authentication required', 401);
+        if (!count || count < 1 || count > maxSeats) {
+            return errorResponse(res, `count must be between 1 and ${maxSeats}`, 400);
         }
 
-        const userId = req.user.id;
-        const { schedule_id, seats } = req.body;
+        const schedule = await db.queryOne(
+            `SELECT 
+        schm.id,
+        slb.layout_data,
+        slb.seat_allocation,
+        t.prevent_orphan_seats
+      FROM schedule_managements schm
+      JOIN show_managements sm ON schm.movie_id = sm.id
+      JOIN seat_layout_builders slb ON schm.screen_id = slb.id
+      JOIN theaters t ON sm.theaters_id = t.id
+      WHERE schm.id = ?
+      AND schm.status = '1'
+      AND schm.deleted_at IS NULL`,
+            [schedule_id]
+        );
 
-        if (!schedule_id || !seats || !Array.isArray(seats) || seats.length === 0) {
-            return errorResponse(res, 'Schedule ID and seats are required', 400);
+        if (!schedule) {
+            return errorResponse(res, 'Schedule not found', 404);
         }
 
-        // Clean up expired locks first
-        await db.query(
-            'DELETE FROM seat_locks WHERE expires_at < NOW()'
-        );
+        const layoutData = safeJSONParse(schedule.layout_data, 'layout_data', []);
+        const seatAllocation = safeJSONParse(schedule.seat_allocation, 'seat_allocation', {});
+        const onlineSeats = seatAllocation.online_seats || [];
 
-        // Check if any seats are already locked by other users
-        const lockedSeats = await db.query(
-            `SELECT seat_number, user_id FROM seat_locks 
+        const bookedSeats = await bookedSeatService.getBookedSeats(schedule_id);
+        const lockedSeats = (await db.query(
+            `SELECT seat_number FROM seat_locks 
              WHERE schedule_id = ? 
-             AND seat_number IN (?)
-             AND expires_at > NOW()`,
-            [schedule_id, seats]
-        );
+             AND expires_at > NOW()
+             AND user_id != ?`,
+            [schedule_id, req.user?.id || 0]
+        )).map(lock => lock.seat_number);
 
-        // Filter out seats locked by other users
-        const unavailableSeats = lockedSeats
-            .filter(lock => lock.user_id !== userId)
-            .map(lock => lock.seat_number);
+        const categoryMap = {};
+        for (const seat of layoutData) {
+            if (seat.category_id && !categoryMap[seat.category_id]) {
+                categoryMap[seat.category_id] = await getCategoryName(seat.category_id);
+            }
+        }
 
-        if (unavailableSeats.length > 0) {
-            return errorResponse(
-                res,
-                `Seats already selected by another user: ${unavailableSeats.join(', ')}`,
-                409
-            );
+        if (category && !Object.values(categoryMap).some(name => name.toLowerCase() === category)) {
+            return errorResponse(res, 'Category not found for this screen', 404);
         }
 
-        // Check if seats are already booked
-        const bookings = await db.query(
-            `SELECT seats_booked FROM theater_bookings 
-             WHERE schedule_id = ? 
-             AND status IN (1, 3)
+        // Don't suggest blocks the seat rules (companion/couple, no orphan seat) would reject at lock time
+        const preventOrphans = config.seatLock.preventOrphanSeats && Number(schedule.prevent_orphan_seats) === 1;
+        const runs = preventOrphans ? orphanSeatRule.getRuns(layoutData, onlineSeats) : [];
+        const unavailable = [...bookedSeats, ...lockedSeats];
+
+        const suggestions = seatRecommender.recommendSeats({
+            layoutData,
+            rowSpacing: seatAllocation.row_spacing,
+            count,
+            isAllowed: (seatNumbers) => !seatAttributes.checkSelection(layoutData, seatNumbers) &&
+                (!preventOrphans || orphanSeatRule.findOrphanSeats({ runs, unavailable, selected: seatNumbers }).length === 0),
+            isAvailable: (seat) => seat.quota_type === 'online' &&
+                onlineSeats.includes(seat.seat_number) &&
+                !bookedSeats.includes(seat.seat_number) &&
+                !lockedSeats.includes(seat.seat_number) &&
+                (!category || (categoryMap[seat.category_id] || 'regular').toLowerCase() === category)
+        }).map(suggestion => ({
+            row: suggestion.row,
+            seats: suggestion.seats,
+            category: categoryMap[suggestion.category_id] || 'regular',
+            score: suggestion.score
+        }));
+
+        if (suggestions.length === 0) {
+            return errorResponse(res, `No ${count} adjacent seats available`, 404);
+        }
+
+        return successResponse(res, 'Seat recommendations fetched successfully', {
+            schedule_id: schedule.id,
+            count,
+            best: suggestions[0],
+            alternatives: suggestions.slice(1)
+        });
+
+    } catch (error) {
+        console.error('Recommend Seats Error:', error);
+        return errorResponse(res, 'Failed to recommend seats', 500);
+    }
+};
+
+// Live seat status changes for a schedule (Server-Sent Events)
+const streamSeatStatus = async (req, res) => {
+    try {
+        const { schedule_id } = req.params;
+
+        const schedule = await db.queryOne(
+            `SELECT id FROM schedule_managements 
+             WHERE id = ? 
+             AND status = '1' 
              AND deleted_at IS NULL`,
             [schedule_id]
         );
 
-        const bookedSeats = [];
-        bookings.forEach(booking => {
-            const seats_data = safeJSONParse(booking.seats_booked, 'seats_booked', []);
-            seats_data.forEach(seat => {
-                if (seat.id || seat.seat_number) {
-                    bookedSeats.push(seat.id || seat.seat_number);
-                }
-            });
-        });
+        if (!schedule) {
+            return errorResponse(res, 'Schedule not found', 404);
+        }
 
-        const alreadyBooked = seats.filter(seat => bookedSeats.includes(seat));
-        if (alreadyBooked.length > 0) {
-            return errorResponse(
-                res,
-                `Seats already booked: ${alreadyBooked.join(', ')}`,
-                409
-            );
+        seatEvents.subscribe(schedule.id, req, res);
+    } catch (error) {
+        console.error('Seat Stream Error:', error);
+        if (!res.headersSent) {
+            return errorResponse(res, 'Failed to open seat stream', 500);
         }
+    }
+};
 
-        // Lock the seats for 15 minutes
-        for (const seat of seats) {
-            await db.query(
-                `INSERT INTO seat_locks (schedule_id, seat_number, user_id, locked_at, expires_at)
-                 VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 15 MINUTE))
-                 ON DUPLICATE KEY UPDATE 
-                    user_id = VALUES(user_id),
-                    locked_at = VALUES(locked_at),
-                    expires_at = VALUES(expires_at)`,
-                [schedule_id, seat, userId]
-            );
+// Failed lock results carry their details (conflicts, orphan_seats, suggestions) next to the code
+const seatLockErrorResponse = (res, lock) => {
+    const { ok, status, code, message, ...details } = lock;
+    if (!code) {
+        return errorResponse(res, message, status);
+    }
+    return errorCodeResponse(res, message, status, code, details);
+};
+
+// Lock seats temporarily, all or none
+const lockSeats = async (req, res) => {
+    try {
+        console.log('========== LOCK SEATS ==========');
+
+        if (!req.user || !req.user.id) {
+            return errorResponse(res, 'Authentication required', 401);
         }
 
-        console.log(`✅ Locked ${seats.length} seats for user ${userId}`);
+        const userId = req.user.id;
+        const { schedule_id, seats } = req.body;
+
+        if (!schedule_id || !seats || !Array.isArray(seats) || seats.length === 0) {
+            return errorResponse(res, 'Schedule ID and seats are required', 400);
+        }
+
+        const lock = await seatLockService.acquireSeats({
+            scheduleId: schedule_id,
+            userId,
+            seats,
+            enforceLimits: !req.user.api_key_id
+        });
+        if (!lock.ok) {
+            return seatLockErrorResponse(res, lock);
+        }
 
+        seatEvents.publish(schedule_id, lock.seats, seatEvents.SEAT_STATUS.LOCKED);
+        console.log(`✅ Locked ${lock.seats.length} seats for user ${userId}`);
+
+        const hold = seatLockService.formatHold(lock);
         return successResponse(res, 'Seats locked successfully', {
             schedule_id: schedule_id,
-            locked_seats: seats,
-            expires_in_minutes: 15,
-            expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString()
+            locked_seats: lock.seats,
+            expires_in_minutes: Math.ceil(hold.expires_in_seconds / 60),
+            ...hold
         });
 
     } catch (error) {
@@ -441,24 +545,23 @@ const unlockSeats = async (req, res) => {
 
         // If seats array is provided, unlock only those seats
         // If not provided, unlock all seats for this user and schedule
-        if (seats && Array.isArray(seats) && seats.length > 0) {
+        const onlySeats = seats && Array.isArray(seats) && seats.length > 0;
+        const ownLocks = await db.query(
+            `SELECT id, seat_number FROM seat_locks 
+             WHERE schedule_id = ? 
+             AND user_id = ?
+             ${onlySeats ? 'AND seat_number IN (?)' : ''}`,
+            onlySeats ? [schedule_id, userId, seats] : [schedule_id, userId]
+        );
+
+        if (ownLocks.length > 0) {
             await db.query(
-                `DELETE FROM seat_locks 
-                 WHERE schedule_id = ? 
-                 AND user_id = ? 
-                 AND seat_number IN (?)`,
-                [schedule_id, userId, seats]
+                'DELETE FROM seat_locks WHERE id IN (?) AND user_id = ?',
+                [ownLocks.map(lock => lock.id), userId]
             );
-            console.log(`✅ Unlocked ${seats.length} specific seats for user ${userId}`);
-        } else {
-            const result = await db.query(
-                `DELETE FROM seat_locks 
-                 WHERE schedule_id = ? 
-                 AND user_id = ?`,
-                [schedule_id, userId]
-            );
-            console.log(`✅ Unlocked all seats for user ${userId} (${result.affectedRows} seats)`);
+            seatEvents.publish(schedule_id, ownLocks.map(lock => lock.seat_number), seatEvents.SEAT_STATUS.AVAILABLE);
         }
+        console.log(`✅ Unlocked ${ownLocks.length} seats for user ${userId}`);
 
         return successResponse(res, 'Seats unlocked successfully');
 
@@ -468,24 +571,58 @@ const unlockSeats = async (req, res) => {
     }
 };
 
-// Helper function to get food item image URL
-const getFoodItemImageUrl = async (itemId) => {
+// Heartbeat: keep the user's seat locks alive while they are still choosing/paying
+const extendSeatLocks = async (req, res) => {
     try {
-        const media = await db.queryOne(
-            `SELECT id, file_name FROM media 
-       WHERE model_type = 'App\\\\Models\\\\FoodAndBeverageManagement' 
-       AND model_id = ? 
-       AND collection_name = 'food_and_beverage_management_item_image'
-       ORDER BY order_column ASC LIMIT 1`,
-            [itemId]
-        );
+        if (!req.user || !req.user.id) {
+            return errorResponse(res, 'Authentication required', 401);
+        }
+
+        const { schedule_id } = req.body;
+        if (!schedule_id) {
+            return errorResponse(res, 'Schedule ID is required', 400);
+        }
 
-        if (media) {
-            const config = require('../config/config');
-            const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-            return `${baseUrl}/storage/${media.id}/${media.file_name}`;
+        const lock = await seatLockService.extendSeats({ scheduleId: schedule_id, userId: req.user.id });
+        if (!lock.ok) {
+            return seatLockErrorResponse(res, lock);
         }
+
+        return successResponse(res, lock.maxHoldReached ? 'Seats held until the maximum hold time' : 'Seat locks extended', {
+            schedule_id: schedule_id,
+            locked_seats: lock.seats,
+            max_hold_reached: lock.maxHoldReached,
+            ...seatLockService.formatHold(lock)
+        });
+
+    } catch (error) {
+        console.error('Extend Seat Locks Error:', error);
+        return errorResponse(res, 'Failed to extend seat locks', 500);
+    }
+};
+
+// Helper function to get movie poster URL
+const getMoviePosterUrl = async (movieId) => {
+    try {
+        return await getMediaUrl({
+            modelType: 'App\\Models\\ShowManagement',
+            modelId: movieId,
+            collection: 'show_management_movie_poster'
+        });
+    } catch (error) {
+        console.error('Error fetching movie poster:', error.message);
         return null;
+    }
+};
+
+// Helper function to get food item image URL
+const getFoodItemImageUrl = async (itemId) => {
+    try {
+        return await getMediaUrl({
+            modelType: 'App\\Models\\FoodAndBeverageManagement',
+            modelId: itemId,
+            collection: 'food_and_beverage_management_item_image'
+        });
     } catch (error) {
         console.error('Error fetching food item image:', error.message);
         return null;
@@ -530,7 +667,7 @@ const getFoodBeverages = async (req, res) => {
         const result = await Promise.all(
             foodItems.map(async (item) => {
                 // Get translation
-                const translation = await db.queryOne(
+                const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `food:${item.id}:${lang}`, () => db.queryOne(
                     `SELECT ft.item_name, ft.category, ft.description
            FROM food_and_beverage_management_translations ft
            JOIN languages l ON ft.language_id = l.id
@@ -538,7 +675,7 @@ const getFoodBeverages = async (req, res) => {
            AND l.code = ? 
            AND l.is_active = 1`,
                     [item.id, lang]
-                );
+                ));
 
                 // Get image
                 const imageUrl = await getFoodItemImageUrl(item.id);
@@ -638,7 +775,7 @@ const calculatePrice = async (req, res) => {
         }
 
         const userId = req.user.id;
-        const { schedule_id, seats, food_items, coupon_code, use_loyalty_points } = req.body;
+        const { schedule_id, seats, food_items, coupon_code, use_loyalty_points, use_wallet } = req.body;
 
         // Validate required fields
         if (!schedule_id || !seats || !Array.isArray(seats) || seats.length === 0) {
@@ -678,28 +815,10 @@ const calculatePrice = async (req, res) => {
         }
 
         // Get movie poster URL
-        const posterMedia = await db.queryOne(
-            `SELECT id, file_name FROM media 
-       WHERE model_type = 'App\\\\Models\\\\ShowManagement' 
-       AND model_id = ? 
-       AND collection_name = 'show_management_movie_poster'
-       ORDER BY order_column ASC LIMIT 1`,
-            [schedule.movie_id]
-        );
-
-        let posterUrl = null;
-        if (posterMedia) {
-            const config = require('../config/config');
-            const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-            posterUrl = `${baseUrl}/storage/${posterMedia.id}/${posterMedia.file_name}`;
-        }
+        const posterUrl = await getMoviePosterUrl(schedule.movie_id);
 
         // Get user's loyalty points
-        const user = await db.queryOne(
-            'SELECT loyality_points FROM users_profiles WHERE id = ?',
-            [userId]
-        );
-        const availableLoyaltyPoints = user?.loyality_points ? parseFloat(user.loyality_points) : 0;
+        const availableLoyaltyPoints = await loyaltyLedger.getBalance(userId);
 
         // Parse layout data to get seat categories
         const layoutData = safeJSONParse(schedule.layout_data, 'layout_data', []);
@@ -722,11 +841,7 @@ const calculatePrice = async (req, res) => {
             }
 
             // Get category name
-            const categoryResult = await db.queryOne(
-                'SELECT category FROM pricing_managements WHERE id = ?',
-                [seat.category_id]
-            );
-            const categoryName = categoryResult?.category || 'Regular';
+            const categoryName = await getCategoryName(seat.category_id);
             const categoryKey = categoryName.toLowerCase();
 
             // Get price
@@ -820,18 +935,40 @@ const calculatePrice = async (req, res) => {
             }
         }
 
+        // Redeem loyalty points within the redemption rules
         let loyaltyPointsUsed = 0;
-        if (use_loyalty_points && availableLoyaltyPoints > 0) {
-            loyaltyPointsUsed = Math.min(availableLoyaltyPoints, subtotal - couponDiscount);
+        let loyaltyDiscount = 0;
+        let redemption = null;
+        if (use_loyalty_points) {
+            redemption = loyaltyProgram.calculateRedemption({
+                balance: availableLoyaltyPoints,
+                subtotal: subtotal,
+                platformFee: platformFee,
+                couponDiscount: couponDiscount
+            });
+            loyaltyPointsUsed = redemption.points_used;
+            loyaltyDiscount = redemption.discount;
         }
 
         // Calculate GST (18%)
-        const amountAfterDiscount = subtotal - couponDiscount - loyaltyPointsUsed;
+        const amountAfterDiscount = subtotal - couponDiscount - loyaltyDiscount;
         const gst = amountAfterDiscount * 0.18;
 
         // Total amount
         const totalAmount = amountAfterDiscount + gst;
 
+        // Points this order will earn once confirmed
+        const earnEstimate = await loyaltyProgram.estimateEarn(userId, {
+            ticketPrice: ticketPrice,
+            foodPrice: foodPrice,
+            couponDiscount: couponDiscount,
+            pointsDiscount: loyaltyDiscount
+        });
+
+        // Wallet share of the total if the user pays with wallet balance
+        const walletBalance = await walletService.getBalance(userId);
+        const walletSplit = walletService.splitPayment(use_wallet ? walletBalance : 0, totalAmount);
+
         // Parse movie languages
         const movieLanguages = safeJSONParse(schedule.languages, 'movie_languages', []);
 
@@ -861,6 +998,7 @@ const calculatePrice = async (req, res) => {
                 subtotal: subtotal,
                 coupon_discount: couponDiscount,
                 loyalty_points_used: loyaltyPointsUsed,
+                loyalty_discount: loyaltyDiscount,
                 gst: parseFloat(gst.toFixed(2)),
                 total: parseFloat(totalAmount.toFixed(2))
             },
@@ -868,6 +1006,16 @@ const calculatePrice = async (req, res) => {
             loyalty: {
                 available_points: availableLoyaltyPoints,
                 points_used: loyaltyPointsUsed,
+                discount: loyaltyDiscount,
+                redemption: redemption,
+                points_to_earn: earnEstimate.points_to_earn,
+                tier: earnEstimate.tier,
+                earn_percent: earnEstimate.earn_percent
+            },
+            wallet: {
+                balance: walletBalance,
+                amount_used: walletSplit.wallet_amount,
+                amount_payable: walletSplit.gateway_amount
             }
         });
 
@@ -888,25 +1036,24 @@ const createOrder = async (req, res) => {
         }
 
         const userId = req.user.id;
-        const { schedule_id, seats, food_items, coupon_code, use_loyalty_points } = req.body;
+        const { schedule_id, seats, food_items, coupon_code, use_loyalty_points, use_wallet } = req.body;
 
         // Validate required fields
         if (!schedule_id || !seats || !Array.isArray(seats) || seats.length === 0) {
             return errorResponse(res, 'Schedule ID and seats are required', 400);
         }
 
-        // Auto-lock seats when creating order (15 minutes)
-        for (const seat of seats) {
-            await db.query(
-                `INSERT INTO seat_locks (schedule_id, seat_number, user_id, locked_at, expires_at)
-                 VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 15 MINUTE))
-                 ON DUPLICATE KEY UPDATE 
-                    user_id = VALUES(user_id),
-                    locked_at = VALUES(locked_at),
-                    expires_at = VALUES(expires_at)`,
-                [schedule_id, seat, userId]
-            );
+        // Take or refresh the seat locks; fails if any seat is held or booked by someone else
+        const lock = await seatLockService.acquireSeats({
+            scheduleId: schedule_id,
+            userId,
+            seats,
+            enforceLimits: !req.user.api_key_id
+        });
+        if (!lock.ok) {
+            return seatLockErrorResponse(res, lock);
         }
+        seatEvents.publish(schedule_id, lock.seats, seatEvents.SEAT_STATUS.LOCKED);
 
         // Import utilities
         const razorpayUtil = require('../utils/razorpay');
@@ -940,43 +1087,8 @@ const createOrder = async (req, res) => {
             return errorResponse(res, 'Schedule not found', 404);
         }
 
-        // Check seat availability
+        // Seat availability was checked while acquiring the locks
         const layoutData = safeJSONParse(schedule.layout_data, 'layout_data', []);
-        const seatAllocation = safeJSONParse(schedule.seat_allocation, 'seat_allocation', {});
-        const onlineSeats = seatAllocation.online_seats || [];
-
-        // Get already booked seats
-        const bookings = await db.query(
-            `SELECT seats_booked FROM theater_bookings 
-       WHERE schedule_id = ? 
-       AND status IN (1, 3)
-       AND deleted_at IS NULL`,
-            [schedule_id]
-        );
-
-        const bookedSeats = [];
-        bookings.forEach(booking => {
-            const seats_data = safeJSONParse(booking.seats_booked, 'seats_booked', []);
-            seats_data.forEach(seat => {
-                if (seat.id || seat.seat_number) {
-                    bookedSeats.push(seat.id || seat.seat_number);
-                }
-            });
-        });
-
-        // Check if requested seats are available
-        const unavailableSeats = [];
-        for (const seatNumber of seats) {
-            if (!onlineSeats.includes(seatNumber)) {
-                unavailableSeats.push(seatNumber);
-            } else if (bookedSeats.includes(seatNumber)) {
-                unavailableSeats.push(seatNumber);
-            }
-        }
-
-        if (unavailableSeats.length > 0) {
-            return errorResponse(res, `Seats not available: ${unavailableSeats.join(', ')}`, 400);
-        }
 
         // Calculate pricing (reuse existing logic)
         const pricingData = safeJSONParse(schedule.pricing_data, 'pricing_data', {});
@@ -993,11 +1105,7 @@ const createOrder = async (req, res) => {
             const seat = layoutData.find(s => s.seat_number === seatNumber);
             if (!seat) continue;
 
-            const categoryResult = await db.queryOne(
-                'SELECT category FROM pricing_managements WHERE id = ?',
-                [seat.category_id]
-            );
-            const categoryName = categoryResult?.category || 'Regular';
+            const categoryName = await getCategoryName(seat.category_id);
             const categoryKey = categoryName.toLowerCase();
 
             const categoryPricing = pricingData[categoryKey];
@@ -1078,46 +1186,56 @@ const createOrder = async (req, res) => {
             }
         }
 
-        // Loyalty points
+        // Loyalty points (same redemption rules as calculatePrice)
         let loyaltyPointsUsed = 0;
+        let loyaltyDiscount = 0;
         if (use_loyalty_points) {
-            const user = await db.queryOne(
-                'SELECT loyality_points FROM users_profiles WHERE id = ?',
-                [userId]
-            );
-            const availablePoints = user?.loyality_points ? parseFloat(user.loyality_points) : 0;
-            if (availablePoints > 0) {
-                loyaltyPointsUsed = Math.min(availablePoints, subtotal - couponDiscount);
-            }
+            const redemption = loyaltyProgram.calculateRedemption({
+                balance: await loyaltyLedger.getBalance(userId),
+                subtotal: subtotal,
+                platformFee: platformFee,
+                couponDiscount: couponDiscount
+            });
+            loyaltyPointsUsed = redemption.points_used;
+            loyaltyDiscount = redemption.discount;
         }
 
         // Calculate GST and total
-        const amountAfterDiscount = subtotal - couponDiscount - loyaltyPointsUsed;
+        const amountAfterDiscount = subtotal - couponDiscount - loyaltyDiscount;
         const gst = amountAfterDiscount * 0.18;
         const totalAmount = amountAfterDiscount + gst;
 
         // Get user details for booking
         const user = await db.queryOne(
-            'SELECT full_name, phone_number, email_address FROM users_profiles WHERE id = ?',
+            'SELECT full_name, phone_number, email_address, email_verified_at FROM users_profiles WHERE id = ?',
             [userId]
         );
 
         // Generate booking number
         const bookingNumber = await bookingHelper.getNextBookingNumber(db);
 
-        // Create Razorpay order
-        const receiptId = razorpayUtil.generateReceiptId(userId);
-        const razorpayOrder = await razorpayUtil.createOrder(
-            totalAmount,
-            receiptId,
-            {
-                user_id: userId,
-                schedule_id: schedule_id,
-                seats: seats.join(','),
-                movie: schedule.movie_title,
-                booking_number: bookingNumber
-            }
-        );
+        // Wallet pays first (if requested), Razorpay collects the rest
+        const { wallet_amount: walletAmount, gateway_amount: gatewayAmount } = use_wallet
+            ? walletService.splitPayment(await walletService.getBalance(userId), totalAmount)
+            : walletService.splitPayment(0, totalAmount);
+        const paymentMethod = walletService.getPaymentMethod(walletAmount, gatewayAmount);
+
+        // Create Razorpay order (not needed when the wallet covers everything)
+        let razorpayOrder = null;
+        if (gatewayAmount > 0) {
+            const receiptId = razorpayUtil.generateReceiptId(userId);
+            razorpayOrder = await razorpayUtil.createOrder(
+                gatewayAmount,
+                receiptId,
+                {
+                    user_id: userId,
+                    schedule_id: schedule_id,
+                    seats: seats.join(','),
+                    movie: schedule.movie_title,
+                    booking_number: bookingNumber
+                }
+            );
+        }
 
         // Create PENDING booking in database
         const bookingResult = await db.query(
@@ -1134,7 +1252,7 @@ const createOrder = async (req, res) => {
                 user?.phone_number || '',
                 JSON.stringify({
                     user_id: userId,
-                    email: user?.email_address || '',
+                    email: getReceiptEmail(user), // Receipts only go to a verified address
                     phone: user?.phone_number || ''
                 }),
                 schedule.movie_title,
@@ -1144,11 +1262,13 @@ const createOrder = async (req, res) => {
                 bookingHelper.formatDate(schedule.show_date),
                 schedule.show_time,
                 JSON.stringify({
-                    razorpay_order_id: razorpayOrder.id,
+                    razorpay_order_id: razorpayOrder ? razorpayOrder.id : null,
                     amount: totalAmount,
+                    wallet_amount: walletAmount,
+                    gateway_amount: gatewayAmount,
                     payment_status: 'pending'
                 }),
-                'razorpay',
+                paymentMethod,
                 JSON.stringify(seatDetails),
                 0 // Pending status
             ]
@@ -1157,15 +1277,18 @@ const createOrder = async (req, res) => {
         const bookingId = bookingResult.insertId;
 
         // Store payment transaction with booking details
-        await db.query(
+        const paymentResult = await db.query(
             `INSERT INTO payment_transactions 
-       (user_id, booking_id, razorpay_order_id, amount, currency, status, payment_details, created_at, updated_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+       (user_id, booking_id, purpose, razorpay_order_id, amount, wallet_amount, gateway_amount, currency, status, payment_details, created_at, updated_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
             [
                 userId,
                 bookingId,
-                razorpayOrder.id,
+                'theater_booking',
+                razorpayOrder ? razorpayOrder.id : null,
                 totalAmount,
+                walletAmount,
+                gatewayAmount,
                 'INR',
                 'pending',
                 JSON.stringify({
@@ -1176,6 +1299,7 @@ const createOrder = async (req, res) => {
                     coupon_code: coupon_code || null,
                     coupon_discount: couponDiscount,
                     loyalty_points_used: loyaltyPointsUsed,
+                    loyalty_discount: loyaltyDiscount,
                     pricing: {
                         ticket_price: ticketPrice,
                         food_price: foodPrice,
@@ -1193,11 +1317,30 @@ const createOrder = async (req, res) => {
             ]
         );
 
+        // Wallet covered the full amount - confirm straight away
+        if (gatewayAmount === 0) {
+            const confirmation = await confirmBooking({
+                userId: userId,
+                paymentTransactionId: paymentResult.insertId
+            });
+
+            if (!confirmation.ok) {
+                return errorResponse(res, confirmation.message, confirmation.status);
+            }
+
+            return successResponse(res, 'Booking confirmed using wallet balance', {
+                payment_required: false,
+                ...buildConfirmationData(confirmation)
+            });
+        }
+
         return successResponse(res, 'Razorpay order created successfully', {
+            payment_required: true,
+            seat_lock: seatLockService.formatHold(lock),
             order_id: razorpayOrder.id,
             booking_id: bookingId,
             booking_number: bookingNumber,
-            amount: parseFloat(totalAmount.toFixed(2)),
+            amount: gatewayAmount,
             currency: 'INR',
             key_id: razorpayUtil.KEY_ID,
             booking_summary: {
@@ -1217,8 +1360,11 @@ const createOrder = async (req, res) => {
                 subtotal: subtotal,
                 coupon_discount: couponDiscount,
                 loyalty_points_used: loyaltyPointsUsed,
+                loyalty_discount: loyaltyDiscount,
                 gst: parseFloat(gst.toFixed(2)),
-                total: parseFloat(totalAmount.toFixed(2))
+                total: parseFloat(totalAmount.toFixed(2)),
+                wallet_amount: walletAmount,
+                amount_payable: gatewayAmount
             }
         });
 
@@ -1228,122 +1374,211 @@ const createOrder = async (req, res) => {
     }
 };
 
-// 6. Verify Payment and Update Booking
-const verifyPayment = async (req, res) => {
-    let connection = null;
-
-    try {
-        console.log('========== VERIFY PAYMENT & UPDATE BOOKING ==========');
-
-        // Check if user is authenticated
-        if (!req.user || !req.user.id) {
-            return errorResponse(res, 'Authentication required. Please login to continue.', 401);
-        }
-
-        const userId = req.user.id;
-        const {
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature
-        } = req.body;
-
-        // Validate required fields
-        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-            return errorResponse(res, 'Payment details (razorpay_order_id, razorpay_payment_id, razorpay_signature) are required', 400);
-        }
-
-        // Import utilities
-        const razorpayUtil = require('../utils/razorpay');
-        const bookingHelper = require('../utils/bookingHelper');
+// A paid booking could not be confirmed (wallet spent elsewhere, seat sold in the meantime):
+// cancel the booking and move the amount paid through Razorpay into the wallet.
+// Runs on the confirming transaction, which still holds the payment row lock.
+const refundUnconfirmedPayment = async (connection, payment, booking, reason) => {
+    const gatewayAmount = parseFloat(payment.gateway_amount ?? payment.amount) || 0;
+
+    await walletService.recordEntry(connection, {
+        userId: payment.user_id,
+        type: walletService.WALLET_TYPES.REFUND,
+        amount: gatewayAmount,
+        referenceType: 'payment_transaction',
+        referenceId: payment.id,
+        description: `Refund for booking ${booking.booking} (${reason})`
+    });
+
+    await connection.query(
+        `UPDATE payment_transactions
+       SET status = 'refunded', error_description = ?, updated_at = NOW()
+       WHERE id = ?`,
+        [`Not confirmed: ${reason}`, payment.id]
+    );
 
-        // Verify payment signature
-        const isValidSignature = razorpayUtil.verifySignature(
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature
-        );
+    await connection.query(
+        'UPDATE theater_bookings SET status = 2, updated_at = NOW() WHERE id = ?',
+        [booking.id]
+    );
 
-        if (!isValidSignature) {
-            // Update payment transaction as failed
-            await db.query(
-                `UPDATE payment_transactions 
-         SET status = 'failed', error_description = 'Invalid signature', updated_at = NOW() 
-         WHERE razorpay_order_id = ?`,
-                [razorpay_order_id]
-            );
+    return gatewayAmount;
+};
 
-            return errorResponse(res, 'Invalid payment signature', 400);
-        }
+const confirmBooking = async ({ userId, razorpayOrderId = null, paymentTransactionId = null, razorpayPaymentId = null, razorpaySignature = null }) => {
+    const bookingHelper = require('../utils/bookingHelper');
+    const connection = await db.beginTransaction();
 
-        // Start transaction
-        connection = await db.beginTransaction();
+    let payment;
+    let booking;
+    let bookingData;
+    let pointsEarned;
+    let bookedSeats;
 
-        // Get payment transaction with booking details
+    try {
+        // Get payment transaction with booking details (locked so it is confirmed only once)
         const paymentResult = await connection.query(
             `SELECT * FROM payment_transactions 
-       WHERE razorpay_order_id = ? AND user_id = ?`,
-            [razorpay_order_id, userId]
+       WHERE ${razorpayOrderId ? 'razorpay_order_id' : 'id'} = ? AND user_id = ?
+       FOR UPDATE`,
+            [razorpayOrderId || paymentTransactionId, userId]
         );
 
-        const payment = paymentResult[0][0];
+        payment = paymentResult[0][0];
         if (!payment) {
             await connection.rollback();
             connection.release();
-            return errorResponse(res, 'Payment transaction not found', 404);
+            return { ok: false, status: 404, message: 'Payment transaction not found' };
         }
 
-        // Check if already verified
-        if (payment.status === 'success') {
+        // Success and refunded are final; a payment marked failed can still be confirmed once a
+        // valid signature for it arrives (Razorpay may have captured it after all)
+        if (!['pending', 'failed'].includes(payment.status)) {
             await connection.rollback();
             connection.release();
-            return errorResponse(res, 'Payment already verified', 400);
+            return {
+                ok: false,
+                status: 400,
+                message: payment.status === 'success' ? 'Payment already verified' : `Payment is ${payment.status}`
+            };
         }
 
         // Parse booking details from payment_details
-        const bookingData = safeJSONParse(payment.payment_details, 'payment_details', {});
-        const bookingId = payment.booking_id;
+        bookingData = safeJSONParse(payment.payment_details, 'payment_details', {});
 
         // Get the booking
         const bookingResult = await connection.query(
             'SELECT * FROM theater_bookings WHERE id = ?',
-            [bookingId]
+            [payment.booking_id]
         );
 
-        const booking = bookingResult[0][0];
+        booking = bookingResult[0][0];
         if (!booking) {
             await connection.rollback();
             connection.release();
-            return errorResponse(res, 'Booking not found', 404);
+            return { ok: false, status: 404, message: 'Booking not found' };
+        }
+
+        // Anything below can fail on a balance or seat that changed since the order was created;
+        // roll back to here and refund, keeping the payment row locked
+        await connection.query('SAVEPOINT confirm_booking');
+        const cancelWithRefund = async (reason) => {
+            await connection.query('ROLLBACK TO SAVEPOINT confirm_booking');
+            const refunded = await refundUnconfirmedPayment(connection, payment, booking, reason);
+            await connection.commit();
+            connection.release();
+            return refunded;
+        };
+
+        // Claim the seats; the unique key fails if another booking got them first
+        try {
+            bookedSeats = await bookedSeatService.claimSeats(connection, {
+                bookingId: booking.id,
+                scheduleId: booking.schedule_id,
+                seats: booking.seats_booked
+            });
+        } catch (error) {
+            if (error.code !== bookedSeatService.BOOKED_SEAT_ERRORS.ALREADY_BOOKED) {
+                throw error;
+            }
+            const refunded = await cancelWithRefund('seats already booked');
+            return {
+                ok: false,
+                status: 409,
+                message: `Seats ${error.seats.join(', ')} were booked by someone else before your payment completed. ₹${refunded} has been credited to your wallet`
+            };
+        }
+
+        // Take the wallet share of the payment
+        const walletAmount = parseFloat(payment.wallet_amount) || 0;
+        if (walletAmount > 0) {
+            try {
+                await walletService.recordEntry(connection, {
+                    userId: userId,
+                    type: walletService.WALLET_TYPES.PAYMENT,
+                    amount: -walletAmount,
+                    referenceType: 'payment_transaction',
+                    referenceId: payment.id,
+                    description: `Paid for booking ${booking.booking}`
+                });
+            } catch (error) {
+                if (error.code !== walletService.WALLET_ERRORS.INSUFFICIENT_BALANCE) {
+                    throw error;
+                }
+                const refunded = await cancelWithRefund('wallet balance changed');
+                return {
+                    ok: false,
+                    status: 409,
+                    message: `Your wallet balance changed before the payment completed. ₹${refunded} has been credited to your wallet`
+                };
+            }
         }
 
-        // Deduct loyalty points if used
+        // Redeem loyalty points if used
         if (bookingData.loyalty_points_used && bookingData.loyalty_points_used > 0) {
-            await connection.query(
-                'UPDATE users_profiles SET loyality_points = loyality_points - ? WHERE id = ?',
-                [bookingData.loyalty_points_used, userId]
-            );
+            try {
+                await loyaltyLedger.recordEntry(connection, {
+                    userId: userId,
+                    type: loyaltyLedger.LEDGER_TYPES.REDEEM,
+                    points: -bookingData.loyalty_points_used,
+                    referenceType: 'theater_booking',
+                    referenceId: booking.id,
+                    description: `Redeemed on booking ${booking.booking}`
+                });
+            } catch (error) {
+                if (error.code !== loyaltyLedger.LEDGER_ERRORS.INSUFFICIENT_POINTS) {
+                    throw error;
+                }
+                const refunded = await cancelWithRefund('loyalty points balance changed');
+                return {
+                    ok: false,
+                    status: 409,
+                    message: `Your loyalty points balance changed before the payment completed. ₹${refunded} has been credited to your wallet`
+                };
+            }
         }
 
+        // Earn loyalty points on the ticket + food spend
+        pointsEarned = await loyaltyProgram.awardBookingPoints(connection, {
+            userId: userId,
+            pricing: {
+                ticketPrice: bookingData.pricing?.ticket_price,
+                foodPrice: bookingData.pricing?.food_price,
+                couponDiscount: bookingData.coupon_discount,
+                pointsDiscount: bookingData.loyalty_discount ?? bookingData.loyalty_points_used
+            },
+            referenceType: 'theater_booking',
+            referenceId: booking.id,
+            bookingNumber: booking.booking
+        });
+
+        const gatewayAmount = parseFloat(payment.gateway_amount ?? payment.amount) || 0;
+        const paymentMethod = walletService.getPaymentMethod(walletAmount, gatewayAmount);
+
         // Update booking status to CONFIRMED
         await connection.query(
             `UPDATE theater_bookings 
        SET status = 1, 
            payment_information = ?,
+           payment_method = ?,
            updated_at = NOW()
        WHERE id = ?`,
             [
                 JSON.stringify({
-                    razorpay_order_id: razorpay_order_id,
-                    razorpay_payment_id: razorpay_payment_id,
+                    razorpay_order_id: payment.razorpay_order_id,
+                    razorpay_payment_id: razorpayPaymentId,
                     amount_paid: payment.amount,
-                    payment_method: 'razorpay',
+                    wallet_amount: walletAmount,
+                    gateway_amount: gatewayAmount,
+                    payment_method: paymentMethod,
                     payment_status: 'success',
                     coupon_code: bookingData.coupon_code || null,
                     coupon_discount: bookingData.coupon_discount || 0,
                     loyalty_points_used: bookingData.loyalty_points_used || 0,
+                    loyalty_discount: bookingData.loyalty_discount ?? bookingData.loyalty_points_used ?? 0,
                     food_items: bookingData.food_items || []
                 }),
-                bookingId
+                paymentMethod,
+                booking.id
             ]
         );
 
@@ -1352,63 +1587,164 @@ const verifyPayment = async (req, res) => {
             `UPDATE payment_transactions 
        SET razorpay_payment_id = ?, 
            razorpay_signature = ?, 
+           payment_method = COALESCE(?, payment_method),
            status = 'success', 
            updated_at = NOW() 
        WHERE id = ?`,
-            [razorpay_payment_id, razorpay_signature, payment.id]
+            [razorpayPaymentId, razorpaySignature, gatewayAmount > 0 ? null : 'wallet', payment.id]
         );
 
         // Commit transaction
         await connection.commit();
         connection.release();
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
 
-        // Release seat locks after successful payment
-        await db.query(
-            'DELETE FROM seat_locks WHERE schedule_id = ? AND user_id = ?',
-            [bookingData.schedule_id, userId]
-        );
-
-        console.log(`✅ Released seat locks for user ${userId} after successful payment`);
+    // Record the payment instrument and release a pending referral reward on the first paid booking
+    await referralService.processPaidBooking({
+        userId: userId,
+        paymentTransactionId: payment.id,
+        razorpayPaymentId: razorpayPaymentId,
+        amountPaid: payment.amount,
+        bookingType: 'theater_booking',
+        bookingId: booking.id
+    });
+
+    // Release seat locks after successful payment
+    const releasedLocks = await db.query(
+        'SELECT seat_number FROM seat_locks WHERE schedule_id = ? AND user_id = ?',
+        [bookingData.schedule_id, userId]
+    );
+    await db.query(
+        'DELETE FROM seat_locks WHERE schedule_id = ? AND user_id = ?',
+        [bookingData.schedule_id, userId]
+    );
+
+    seatEvents.publish(booking.schedule_id, bookedSeats, seatEvents.SEAT_STATUS.BOOKED);
+    seatEvents.publish(
+        booking.schedule_id,
+        releasedLocks.map(lock => lock.seat_number).filter(seat => !bookedSeats.includes(seat)),
+        seatEvents.SEAT_STATUS.AVAILABLE
+    );
+
+    console.log(`✅ Released seat locks for user ${userId} after successful payment`);
+
+    // Generate QR code and save via Laravel API
+    const qrData = bookingHelper.createBookingQRData({
+        booking_number: booking.booking,
+        booking_id: booking.id,
+        movie_title: bookingData.movie_title,
+        seats: bookingData.seats,
+        show_date: bookingData.show_date,
+        show_time: bookingData.show_time
+    });
+    const qrCodeUrl = await bookingHelper.saveQRCodeToFile(qrData, booking.booking);
+
+    return {
+        ok: true,
+        payment,
+        booking,
+        bookingData,
+        pointsEarned,
+        qrCodeUrl,
+        razorpayPaymentId
+    };
+};
 
-        // Generate QR code and save via Laravel API
-        const qrData = bookingHelper.createBookingQRData({
-            booking_number: booking.booking,
-            booking_id: bookingId,
+// Response body for a confirmed booking (verifyPayment and wallet-only createOrder)
+const buildConfirmationData = ({ payment, booking, bookingData, pointsEarned, qrCodeUrl, razorpayPaymentId }) => {
+    const walletAmount = parseFloat(payment.wallet_amount) || 0;
+    const gatewayAmount = parseFloat(payment.gateway_amount ?? payment.amount) || 0;
+
+    return {
+        booking_id: booking.id,
+        booking_number: booking.booking,
+        status: 'confirmed',
+        qr_code_url: qrCodeUrl,
+        loyalty_points_earned: pointsEarned ? pointsEarned.points : 0,
+        booking_details: {
             movie_title: bookingData.movie_title,
-            seats: bookingData.seats,
+            theater_name: bookingData.theater_name,
+            screen: bookingData.screen,
             show_date: bookingData.show_date,
-            show_time: bookingData.show_time
-        });
-        const qrCodeUrl = await bookingHelper.saveQRCodeToFile(qrData, booking.booking);
+            show_time: bookingData.show_time,
+            seats: bookingData.seat_details || [],
+            food_items: bookingData.food_items || [],
+            payment_info: {
+                razorpay_payment_id: razorpayPaymentId,
+                amount_paid: parseFloat(payment.amount),
+                wallet_amount: walletAmount,
+                gateway_amount: gatewayAmount,
+                payment_method: walletService.getPaymentMethod(walletAmount, gatewayAmount),
+                payment_status: 'success'
+            },
+            pricing: bookingData.pricing || {}
+        }
+    };
+};
 
-        return successResponse(res, 'Booking confirmed successfully', {
-            booking_id: bookingId,
-            booking_number: booking.booking,
-            status: 'confirmed',
-            qr_code_url: qrCodeUrl,
-            booking_details: {
-                movie_title: bookingData.movie_title,
-                theater_name: bookingData.theater_name,
-                screen: bookingData.screen,
-                show_date: bookingData.show_date,
-                show_time: bookingData.show_time,
-                seats: bookingData.seat_details || [],
-                food_items: bookingData.food_items || [],
-                payment_info: {
-                    razorpay_payment_id: razorpay_payment_id,
-                    amount_paid: parseFloat(payment.amount),
-                    payment_method: 'razorpay',
-                    payment_status: 'success'
-                },
-                pricing: bookingData.pricing || {}
-            }
+// 6. Verify Payment and Update Booking
+const verifyPayment = async (req, res) => {
+    try {
+        console.log('========== VERIFY PAYMENT & UPDATE BOOKING ==========');
+
+        // Check if user is authenticated
+        if (!req.user || !req.user.id) {
+            return errorResponse(res, 'Authentication required. Please login to continue.', 401);
+        }
+
+        const userId = req.user.id;
+        const {
+            razorpay_order_id,
+            razorpay_payment_id,
+            razorpay_signature
+        } = req.body;
+
+        // Validate required fields
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return errorResponse(res, 'Payment details (razorpay_order_id, razorpay_payment_id, razorpay_signature) are required', 400);
+        }
+
+        // Import utilities
+        const razorpayUtil = require('../utils/razorpay');
+
+        // Verify payment signature
+        const isValidSignature = razorpayUtil.verifySignature(
+            razorpay_order_id,
+            razorpay_payment_id,
+            razorpay_signature
+        );
+
+        if (!isValidSignature) {
+            // Note it, but keep the payment pending: a bad or duplicate retry must not block
+            // confirming the captured payment when the valid signature arrives
+            await db.query(
+                `UPDATE payment_transactions 
+         SET error_description = 'Invalid signature', updated_at = NOW() 
+         WHERE razorpay_order_id = ? AND user_id = ? AND status = 'pending'`,
+                [razorpay_order_id, userId]
+            );
+
+            return errorResponse(res, 'Invalid payment signature', 400);
+        }
+
+        const confirmation = await confirmBooking({
+            userId: userId,
+            razorpayOrderId: razorpay_order_id,
+            razorpayPaymentId: razorpay_payment_id,
+            razorpaySignature: razorpay_signature
         });
 
-    } catch (error) {
-        if (connection) {
-            await connection.rollback();
-            connection.release();
+        if (!confirmation.ok) {
+            return errorResponse(res, confirmation.message, confirmation.status);
         }
+
+        return successResponse(res, 'Booking confirmed successfully', buildConfirmationData(confirmation));
+
+    } catch (error) {
         console.error('Verify Payment Error:', error);
         return errorResponse(res, 'Failed to verify payment: ' + error.message, 500);
     }
@@ -1615,21 +1951,11 @@ const getBookingDetails = async (req, res) => {
         const qrCodeUrl = await bookingHelper.saveQRCodeToFile(qrData, booking.booking);
 
         // Get movie poster
-        const posterMedia = await db.queryOne(
-            `SELECT id, file_name FROM media 
-       WHERE model_type = 'App\\\\Models\\\\ShowManagement' 
-       AND model_id = (SELECT movie_id FROM schedule_managements WHERE id = ?)
-       AND collection_name = 'show_management_movie_poster'
-       ORDER BY order_column ASC LIMIT 1`,
+        const scheduleMovie = await db.queryOne(
+            'SELECT movie_id FROM schedule_managements WHERE id = ?',
             [booking.schedule_id]
         );
-
-        let posterUrl = null;
-        if (posterMedia) {
-            const config = require('../config/config');
-            const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-            posterUrl = `${baseUrl}/storage/${posterMedia.id}/${posterMedia.file_name}`;
-        }
+        const posterUrl = scheduleMovie ? await getMoviePosterUrl(scheduleMovie.movie_id) : null;
 
         // Map status code to label
         const statusCode = parseInt(booking.status);
@@ -1765,8 +2091,11 @@ const testVerifyFailure = async (req, res) => {
 
 module.exports = {
     getSeatLayout,
+    recommendSeats,
+    streamSeatStatus,
     lockSeats,
     unlockSeats,
+    extendSeatLocks,
     getFoodBeverages,
     getCoupons,
     calculatePrice,
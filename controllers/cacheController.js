@@ -0,0 +1,41 @@
+const cache = require('../utils/cache');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+// Hit/miss counts and sizes per namespace
+const getCacheStats = async (req, res) => {
+  try {
+    return successResponse(res, 'Cache stats fetched successfully', cache.getStats());
+  } catch (error) {
+    console.error('Get Cache Stats Error:', error);
+    return errorResponse(res, 'Failed to fetch cache stats', 500);
+  }
+};
+
+// Called by the admin after editing reference data. No namespace clears everything;
+// a namespace without a key clears that namespace.
+const invalidateCache = async (req, res) => {
+  try {
+    const { namespace, key } = req.body;
+    const namespaces = Object.values(cache.NAMESPACES);
+
+    if (!namespace) {
+      const removed = cache.flush();
+      return successResponse(res, 'Cache cleared', { removed });
+    }
+
+    if (!namespaces.includes(namespace)) {
+      return errorResponse(res, `namespace must be one of: ${namespaces.join(', ')}`, 400);
+    }
+
+    const removed = cache.invalidate(namespace, key ?? null);
+    return successResponse(res, 'Cache invalidated', { namespace, key: key ?? null, removed });
+  } catch (error) {
+    console.error('Invalidate Cache Error:', error);
+    return errorResponse(res, 'Failed to invalidate cache', 500);
+  }
+};
+
+module.exports = {
+  getCacheStats,
+  invalidateCache
+};
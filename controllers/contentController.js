@@ -1,5 +1,6 @@
 const db = require('../config/db');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const cache = require('../utils/cache');
 
 // Get all content pages with translations
 const getAllContent = async (req, res) => {
@@ -9,10 +10,10 @@ const getAllContent = async (req, res) => {
     console.log('Fetching all content for language:', languageCode);
 
     // Get language ID
-    const language = await db.queryOne(
+    const language = await cache.remember(cache.NAMESPACES.LANGUAGES, `code:${languageCode}`, () => db.queryOne(
       'SELECT id FROM languages WHERE code = ? AND is_active = 1',
       [languageCode]
-    );
+    ));
 
     if (!language) {
       return errorResponse(res, 'Language not found or inactive', 404);
@@ -26,12 +27,12 @@ const getAllContent = async (req, res) => {
     // Get translations for all content
     const result = await Promise.all(
       contents.map(async (content) => {
-        const translation = await db.queryOne(
+        const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `content:${content.id}:${language.id}`, () => db.queryOne(
           `SELECT t.title, t.description, t.content 
            FROM content_managment_translations t 
            WHERE t.content_managment_id = ? AND t.language_id = ?`,
           [content.id, language.id]
-        );
+        ));
 
         return {
           id: content.id,
@@ -70,10 +71,10 @@ const getContentBySlug = async (req, res) => {
     console.log('Fetching content by slug:', slug, 'language:', languageCode);
 
     // Get language ID
-    const languageRecord = await db.queryOne(
+    const languageRecord = await cache.remember(cache.NAMESPACES.LANGUAGES, `code:${languageCode}`, () => db.queryOne(
       'SELECT id FROM languages WHERE code = ? AND is_active = 1',
       [languageCode]
-    );
+    ));
 
     if (!languageRecord) {
       return errorResponse(res, 'Language not found or inactive', 404);
@@ -90,12 +91,12 @@ const getContentBySlug = async (req, res) => {
     }
 
     // Get translation
-    const translation = await db.queryOne(
+    const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `content:${content.id}:${languageRecord.id}`, () => db.queryOne(
       `SELECT t.title, t.description, t.content 
        FROM content_managment_translations t 
        WHERE t.content_managment_id = ? AND t.language_id = ?`,
       [content.id, languageRecord.id]
-    );
+    ));
 
     const result = {
       id: content.id,
@@ -119,9 +120,9 @@ const getLanguages = async (req, res) => {
   try {
     console.log('Fetching active languages');
 
-    const languages = await db.query(
+    const languages = await cache.remember(cache.NAMESPACES.LANGUAGES, 'active', () => db.query(
       'SELECT id, name, code,display_code, native_name FROM languages WHERE is_active = 1 AND deleted_at IS NULL ORDER BY sort_order'
-    );
+    ));
 
     return successResponse(res, 'Languages fetched successfully', languages);
 
@@ -1,5 +1,12 @@
 const db = require('../config/db');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const { getReceiptEmail } = require('../utils/emailVerification');
+const loyaltyLedger = require('../utils/loyaltyLedger');
+const referralService = require('../utils/referralService');
+const loyaltyProgram = require('../utils/loyaltyProgram');
+const walletService = require('../utils/walletService');
+const cache = require('../utils/cache');
+const { getMediaUrl } = require('../utils/mediaUrl');
 
 const safeJSONParse = (jsonString, fieldName = 'field', defaultValue = []) => {
     if (Array.isArray(jsonString)) return jsonString;
@@ -29,6 +36,21 @@ const safeJSONParse = (jsonString, fieldName = 'field', defaultValue = []) => {
     }
 };
 
+// Helper function to get event poster URL
+const getEventPosterUrl = async (eventId) => {
+    try {
+        return await getMediaUrl({
+            modelType: 'App\\Models\\EventDetail',
+            modelId: eventId,
+            collection: 'event_detail_poster_images',
+            orderBy: 'id'
+        });
+    } catch (error) {
+        console.error('Error fetching event poster:', error.message);
+        return null;
+    }
+};
+
 // 1. Get Event Ticket Categories
 const getTicketCategories = async (req, res) => {
     try {
@@ -54,14 +76,14 @@ const getTicketCategories = async (req, res) => {
             return errorResponse(res, 'Event not found', 404);
         }
 
-        // Get event translation
-        const translation = await db.queryOne(
-            `SELECT et.event_name, et.address, et.city
+        // Get event translation (same query/shape as eventController, they share the cache key)
+        const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `event:${event_id}:${language}`, () => db.queryOne(
+            `SELECT et.*, l.code as language_code
              FROM event_detail_translations et
              JOIN languages l ON et.language_id = l.id
              WHERE et.event_detail_id = ? AND l.code = ? AND l.is_active = 1`,
             [event_id, language]
-        );
+        ));
 
         // Get all tickets for this event
         const tickets = await db.query(
@@ -146,7 +168,7 @@ const calculatePrice = async (req, res) => {
         }
 
         const userId = req.user.id;
-        const { event_id, tickets, use_loyalty_points } = req.body;
+        const { event_id, tickets, use_loyalty_points, use_wallet } = req.body;
 
         // Validate required fields
         if (!event_id || !tickets || !Array.isArray(tickets) || tickets.length === 0) {
@@ -179,28 +201,10 @@ const calculatePrice = async (req, res) => {
         }
 
         // Get event poster URL
-        const config = require('../config/config');
-        const posterMedia = await db.queryOne(
-            `SELECT id, file_name FROM media 
-             WHERE model_type = 'App\\\\Models\\\\EventDetail' 
-             AND model_id = ? 
-             AND collection_name = 'event_detail_poster_images'
-             ORDER BY id ASC LIMIT 1`,
-            [event_id]
-        );
-
-        let posterUrl = null;
-        if (posterMedia) {
-            const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-            posterUrl = `${baseUrl}/storage/${posterMedia.id}/${posterMedia.file_name}`;
-        }
+        const posterUrl = await getEventPosterUrl(event_id);
 
         // Get user's loyalty points
-        const user = await db.queryOne(
-            'SELECT loyality_points FROM users_profiles WHERE id = ?',
-            [userId]
-        );
-        const availableLoyaltyPoints = user?.loyality_points ? parseFloat(user.loyality_points) : 0;
+        const availableLoyaltyPoints = await loyaltyLedger.getBalance(userId);
 
         // Calculate ticket price
         let ticketPrice = 0;
@@ -260,19 +264,37 @@ const calculatePrice = async (req, res) => {
         // Subtotal before loyalty points
         const subtotal = ticketPrice + platformFee;
 
-        // Apply loyalty points if requested
+        // Apply loyalty points if requested, within the redemption rules
         let loyaltyPointsUsed = 0;
-        if (use_loyalty_points && availableLoyaltyPoints > 0) {
-            loyaltyPointsUsed = Math.min(availableLoyaltyPoints, subtotal);
+        let loyaltyDiscount = 0;
+        let redemption = null;
+        if (use_loyalty_points) {
+            redemption = loyaltyProgram.calculateRedemption({
+                balance: availableLoyaltyPoints,
+                subtotal: subtotal,
+                platformFee: platformFee
+            });
+            loyaltyPointsUsed = redemption.points_used;
+            loyaltyDiscount = redemption.discount;
         }
 
         // Calculate GST (18%)
-        const amountAfterDiscount = subtotal - loyaltyPointsUsed;
+        const amountAfterDiscount = subtotal - loyaltyDiscount;
         const gst = amountAfterDiscount * 0.18;
 
         // Total amount
         const totalAmount = amountAfterDiscount + gst;
 
+        // Points this order will earn once confirmed
+        const earnEstimate = await loyaltyProgram.estimateEarn(userId, {
+            ticketPrice: ticketPrice,
+            pointsDiscount: loyaltyDiscount
+        });
+
+        // Wallet share of the total if the user pays with wallet balance
+        const walletBalance = await walletService.getBalance(userId);
+        const walletSplit = walletService.splitPayment(use_wallet ? walletBalance : 0, totalAmount);
+
         // Format event date and time
         const startDateTime = new Date(event.start_date_time);
         const eventDate = startDateTime.toISOString().split('T')[0];
@@ -295,12 +317,23 @@ const calculatePrice = async (req, res) => {
                 platform_fee: platformFee,
                 subtotal: subtotal,
                 loyalty_points_used: loyaltyPointsUsed,
+                loyalty_discount: loyaltyDiscount,
                 gst: parseFloat(gst.toFixed(2)),
                 total: parseFloat(totalAmount.toFixed(2))
             },
             loyalty: {
                 available_points: availableLoyaltyPoints,
-                points_used: loyaltyPointsUsed
+                points_used: loyaltyPointsUsed,
+                discount: loyaltyDiscount,
+                redemption: redemption,
+                points_to_earn: earnEstimate.points_to_earn,
+                tier: earnEstimate.tier,
+                earn_percent: earnEstimate.earn_percent
+            },
+            wallet: {
+                balance: walletBalance,
+                amount_used: walletSplit.wallet_amount,
+                amount_payable: walletSplit.gateway_amount
             }
         });
 
@@ -319,7 +352,7 @@ const createOrder = async (req, res) => {
         }
 
         const userId = req.user.id;
-        const { event_id, tickets, use_loyalty_points } = req.body;
+        const { event_id, tickets, use_loyalty_points, use_wallet } = req.body;
 
         // Validate required fields
         if (!event_id || !tickets || !Array.isArray(tickets) || tickets.length === 0) {
@@ -403,46 +436,54 @@ const createOrder = async (req, res) => {
         const platformFee = 18;
         const subtotal = ticketPrice + platformFee;
 
-        // Loyalty points
+        // Loyalty points (same redemption rules as calculatePrice)
         let loyaltyPointsUsed = 0;
+        let loyaltyDiscount = 0;
         if (use_loyalty_points) {
-            const user = await db.queryOne(
-                'SELECT loyality_points FROM users_profiles WHERE id = ?',
-                [userId]
-            );
-            const availablePoints = user?.loyality_points ? parseFloat(user.loyality_points) : 0;
-            if (availablePoints > 0) {
-                loyaltyPointsUsed = Math.min(availablePoints, subtotal);
-            }
+            const redemption = loyaltyProgram.calculateRedemption({
+                balance: await loyaltyLedger.getBalance(userId),
+                subtotal: subtotal,
+                platformFee: platformFee
+            });
+            loyaltyPointsUsed = redemption.points_used;
+            loyaltyDiscount = redemption.discount;
         }
 
         // Calculate GST and total
-        const amountAfterDiscount = subtotal - loyaltyPointsUsed;
+        const amountAfterDiscount = subtotal - loyaltyDiscount;
         const gst = amountAfterDiscount * 0.18;
         const totalAmount = amountAfterDiscount + gst;
 
         // Get user details for booking
         const user = await db.queryOne(
-            'SELECT full_name, phone_number, email_address FROM users_profiles WHERE id = ?',
+            'SELECT full_name, phone_number, email_address, email_verified_at FROM users_profiles WHERE id = ?',
             [userId]
         );
 
         // Generate booking number
         const bookingNumber = await bookingHelper.getNextBookingNumber(db);
 
-        // Create Razorpay order
-        const receiptId = razorpayUtil.generateReceiptId(userId);
-        const razorpayOrder = await razorpayUtil.createOrder(
-            totalAmount,
-            receiptId,
-            {
-                user_id: userId,
-                event_id: event_id,
-                event_name: event.event_name,
-                booking_number: bookingNumber,
-                total_tickets: totalQuantity
-            }
-        );
+        // Wallet pays first (if requested), Razorpay collects the rest
+        const { wallet_amount: walletAmount, gateway_amount: gatewayAmount } = use_wallet
+            ? walletService.splitPayment(await walletService.getBalance(userId), totalAmount)
+            : walletService.splitPayment(0, totalAmount);
+
+        // Create Razorpay order (not needed when the wallet covers everything)
+        let razorpayOrder = null;
+        if (gatewayAmount > 0) {
+            const receiptId = razorpayUtil.generateReceiptId(userId);
+            razorpayOrder = await razorpayUtil.createOrder(
+                gatewayAmount,
+                receiptId,
+                {
+                    user_id: userId,
+                    event_id: event_id,
+                    event_name: event.event_name,
+                    booking_number: bookingNumber,
+                    total_tickets: totalQuantity
+                }
+            );
+        }
 
         // Format event date and time
         const startDateTime = new Date(event.start_date_time);
@@ -460,7 +501,7 @@ const createOrder = async (req, res) => {
                 JSON.stringify({
                     user_id: userId,
                     name: user?.full_name || 'Guest',
-                    email: user?.email_address || '',
+                    email: getReceiptEmail(user), // Receipts only go to a verified address
                     phone: user?.phone_number || ''
                 }),
                 event.event_name,
@@ -469,8 +510,10 @@ const createOrder = async (req, res) => {
                 totalAmount,
                 eventDate,
                 JSON.stringify({
-                    razorpay_order_id: razorpayOrder.id,
+                    razorpay_order_id: razorpayOrder ? razorpayOrder.id : null,
                     amount: totalAmount,
+                    wallet_amount: walletAmount,
+                    gateway_amount: gatewayAmount,
                     payment_status: 'pending'
                 }),
                 0 // Pending status
@@ -480,15 +523,18 @@ const createOrder = async (req, res) => {
         const bookingId = bookingResult.insertId;
 
         // Store payment transaction with booking details
-        await db.query(
+        const paymentResult = await db.query(
             `INSERT INTO payment_transactions 
-             (user_id, booking_id, razorpay_order_id, amount, currency, status, payment_details, created_at, updated_at) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+             (user_id, booking_id, purpose, razorpay_order_id, amount, wallet_amount, gateway_amount, currency, status, payment_details, created_at, updated_at) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
             [
                 userId,
                 bookingId,
-                razorpayOrder.id,
+                'event_booking',
+                razorpayOrder ? razorpayOrder.id : null,
                 totalAmount,
+                walletAmount,
+                gatewayAmount,
                 'INR',
                 'pending',
                 JSON.stringify({
@@ -500,6 +546,7 @@ const createOrder = async (req, res) => {
                     tickets: ticketDetails,
                     total_tickets: totalQuantity,
                     loyalty_points_used: loyaltyPointsUsed,
+                    loyalty_discount: loyaltyDiscount,
                     pricing: {
                         ticket_price: ticketPrice,
                         platform_fee: platformFee,
@@ -511,11 +558,29 @@ const createOrder = async (req, res) => {
             ]
         );
 
+        // Wallet covered the full amount - confirm straight away
+        if (gatewayAmount === 0) {
+            const confirmation = await confirmBooking({
+                userId: userId,
+                paymentTransactionId: paymentResult.insertId
+            });
+
+            if (!confirmation.ok) {
+                return errorResponse(res, confirmation.message, confirmation.status);
+            }
+
+            return successResponse(res, 'Event booking confirmed using wallet balance', {
+                payment_required: false,
+                ...buildConfirmationData(confirmation)
+            });
+        }
+
         return successResponse(res, 'Razorpay order created successfully', {
+            payment_required: true,
             order_id: razorpayOrder.id,
             booking_id: bookingId,
             booking_number: bookingNumber,
-            amount: parseFloat(totalAmount.toFixed(2)),
+            amount: gatewayAmount,
             currency: 'INR',
             key_id: razorpayUtil.KEY_ID,
             booking_summary: {
@@ -531,8 +596,11 @@ const createOrder = async (req, res) => {
                 platform_fee: platformFee,
                 subtotal: subtotal,
                 loyalty_points_used: loyaltyPointsUsed,
+                loyalty_discount: loyaltyDiscount,
                 gst: parseFloat(gst.toFixed(2)),
-                total: parseFloat(totalAmount.toFixed(2))
+                total: parseFloat(totalAmount.toFixed(2)),
+                wallet_amount: walletAmount,
+                amount_payable: gatewayAmount
             }
         });
 
@@ -541,101 +609,165 @@ const createOrder = async (req, res) => {
         return errorResponse(res, 'Failed to create order: ' + error.message, 500);
     }
 };
-const verifyPayment = async (req, res) => {
-    let connection = null;
-
-    try {
-        console.log('========== VERIFY EVENT PAYMENT & UPDATE BOOKING ==========');
-
-        // Check if user is authenticated
-        if (!req.user || !req.user.id) {
-            return errorResponse(res, 'Authentication required. Please login to continue.', 401);
-        }
-
-        const userId = req.user.id;
-        const {
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature
-        } = req.body;
-
-        // Validate required fields
-        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-            return errorResponse(res, 'Payment details (razorpay_order_id, razorpay_payment_id, razorpay_signature) are required', 400);
-        }
-
-        // Import utilities
-        const razorpayUtil = require('../utils/razorpay');
-        const bookingHelper = require('../utils/bookingHelper');
-
-        // Verify payment signature
-        const isValidSignature = razorpayUtil.verifySignature(
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature
-        );
 
-        if (!isValidSignature) {
-            // Update payment transaction as failed
-            await db.query(
-                `UPDATE payment_transactions 
-                 SET status = 'failed', error_description = 'Invalid signature', updated_at = NOW() 
-                 WHERE razorpay_order_id = ?`,
-                [razorpay_order_id]
-            );
+// A paid booking could not be confirmed (wallet or points spent elsewhere in the meantime):
+// cancel the booking and move the amount paid through Razorpay into the wallet.
+// Runs on the confirming transaction, which still holds the payment row lock.
+const refundUnconfirmedPayment = async (connection, payment, booking, reason) => {
+    const gatewayAmount = parseFloat(payment.gateway_amount ?? payment.amount) || 0;
+
+    await walletService.recordEntry(connection, {
+        userId: payment.user_id,
+        type: walletService.WALLET_TYPES.REFUND,
+        amount: gatewayAmount,
+        referenceType: 'payment_transaction',
+        referenceId: payment.id,
+        description: `Refund for booking ${booking.booking} (${reason})`
+    });
+
+    await connection.query(
+        `UPDATE payment_transactions
+         SET status = 'refunded', error_description = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [`Not confirmed: ${reason}`, payment.id]
+    );
+
+    await connection.query(
+        'UPDATE event_bookings SET status = 2, updated_at = NOW() WHERE id = ?',
+        [booking.id]
+    );
+
+    return gatewayAmount;
+};
 
-            return errorResponse(res, 'Invalid payment signature', 400);
-        }
+const confirmBooking = async ({ userId, razorpayOrderId = null, paymentTransactionId = null, razorpayPaymentId = null, razorpaySignature = null }) => {
+    const bookingHelper = require('../utils/bookingHelper');
+    const connection = await db.beginTransaction();
 
-        // Start transaction
-        connection = await db.beginTransaction();
+    let payment;
+    let booking;
+    let bookingData;
+    let pointsEarned;
 
-        // Get payment transaction with booking details
+    try {
+        // Get payment transaction with booking details (locked so it is confirmed only once)
         const paymentResult = await connection.query(
             `SELECT * FROM payment_transactions 
-             WHERE razorpay_order_id = ? AND user_id = ?`,
-            [razorpay_order_id, userId]
+             WHERE ${razorpayOrderId ? 'razorpay_order_id' : 'id'} = ? AND user_id = ?
+             FOR UPDATE`,
+            [razorpayOrderId || paymentTransactionId, userId]
         );
 
-        const payment = paymentResult[0][0];
+        payment = paymentResult[0][0];
         if (!payment) {
             await connection.rollback();
             connection.release();
-            return errorResponse(res, 'Payment transaction not found', 404);
+            return { ok: false, status: 404, message: 'Payment transaction not found' };
         }
 
-        // Check if already verified
-        if (payment.status === 'success') {
+        // Success and refunded are final; a payment marked failed can still be confirmed once a
+        // valid signature for it arrives (Razorpay may have captured it after all)
+        if (!['pending', 'failed'].includes(payment.status)) {
             await connection.rollback();
             connection.release();
-            return errorResponse(res, 'Payment already verified', 400);
+            return {
+                ok: false,
+                status: 400,
+                message: payment.status === 'success' ? 'Payment already verified' : `Payment is ${payment.status}`
+            };
         }
 
         // Parse booking details from payment_details
-        const bookingData = safeJSONParse(payment.payment_details, 'payment_details', {});
-        const bookingId = payment.booking_id;
+        bookingData = safeJSONParse(payment.payment_details, 'payment_details', {});
 
         // Get the booking
         const bookingResult = await connection.query(
             'SELECT * FROM event_bookings WHERE id = ?',
-            [bookingId]
+            [payment.booking_id]
         );
 
-        const booking = bookingResult[0][0];
+        booking = bookingResult[0][0];
         if (!booking) {
             await connection.rollback();
             connection.release();
-            return errorResponse(res, 'Booking not found', 404);
+            return { ok: false, status: 404, message: 'Booking not found' };
         }
 
-        // Deduct loyalty points if used
+        // The debits below can fail on a balance that changed since the order was created;
+        // roll back to here and refund, keeping the payment row locked
+        await connection.query('SAVEPOINT confirm_booking');
+        const cancelWithRefund = async (reason) => {
+            await connection.query('ROLLBACK TO SAVEPOINT confirm_booking');
+            const refunded = await refundUnconfirmedPayment(connection, payment, booking, reason);
+            await connection.commit();
+            connection.release();
+            return refunded;
+        };
+
+        // Take the wallet share of the payment
+        const walletAmount = parseFloat(payment.wallet_amount) || 0;
+        if (walletAmount > 0) {
+            try {
+                await walletService.recordEntry(connection, {
+                    userId: userId,
+                    type: walletService.WALLET_TYPES.PAYMENT,
+                    amount: -walletAmount,
+                    referenceType: 'payment_transaction',
+                    referenceId: payment.id,
+                    description: `Paid for booking ${booking.booking}`
+                });
+            } catch (error) {
+                if (error.code !== walletService.WALLET_ERRORS.INSUFFICIENT_BALANCE) {
+                    throw error;
+                }
+                const refunded = await cancelWithRefund('wallet balance changed');
+                return {
+                    ok: false,
+                    status: 409,
+                    message: `Your wallet balance changed before the payment completed. ₹${refunded} has been credited to your wallet`
+                };
+            }
+        }
+
+        // Redeem loyalty points if used
         if (bookingData.loyalty_points_used && bookingData.loyalty_points_used > 0) {
-            await connection.query(
-                'UPDATE users_profiles SET loyality_points = loyality_points - ? WHERE id = ?',
-                [bookingData.loyalty_points_used, userId]
-            );
+            try {
+                await loyaltyLedger.recordEntry(connection, {
+                    userId: userId,
+                    type: loyaltyLedger.LEDGER_TYPES.REDEEM,
+                    points: -bookingData.loyalty_points_used,
+                    referenceType: 'event_booking',
+                    referenceId: booking.id,
+                    description: `Redeemed on booking ${booking.booking}`
+                });
+            } catch (error) {
+                if (error.code !== loyaltyLedger.LEDGER_ERRORS.INSUFFICIENT_POINTS) {
+                    throw error;
+                }
+                const refunded = await cancelWithRefund('loyalty points balance changed');
+                return {
+                    ok: false,
+                    status: 409,
+                    message: `Your loyalty points balance changed before the payment completed. ₹${refunded} has been credited to your wallet`
+                };
+            }
         }
 
+        // Earn loyalty points on the ticket spend
+        pointsEarned = await loyaltyProgram.awardBookingPoints(connection, {
+            userId: userId,
+            pricing: {
+                ticketPrice: bookingData.pricing?.ticket_price,
+                pointsDiscount: bookingData.loyalty_discount ?? bookingData.loyalty_points_used
+            },
+            referenceType: 'event_booking',
+            referenceId: booking.id,
+            bookingNumber: booking.booking
+        });
+
+        const gatewayAmount = parseFloat(payment.gateway_amount ?? payment.amount) || 0;
+        const paymentMethod = walletService.getPaymentMethod(walletAmount, gatewayAmount);
+
         // Update booking status to CONFIRMED
         await connection.query(
             `UPDATE event_bookings 
@@ -645,14 +777,17 @@ const verifyPayment = async (req, res) => {
              WHERE id = ?`,
             [
                 JSON.stringify({
-                    razorpay_order_id: razorpay_order_id,
-                    razorpay_payment_id: razorpay_payment_id,
+                    razorpay_order_id: payment.razorpay_order_id,
+                    razorpay_payment_id: razorpayPaymentId,
                     amount_paid: payment.amount,
-                    payment_method: 'razorpay',
+                    wallet_amount: walletAmount,
+                    gateway_amount: gatewayAmount,
+                    payment_method: paymentMethod,
                     payment_status: 'success',
-                    loyalty_points_used: bookingData.loyalty_points_used || 0
+                    loyalty_points_used: bookingData.loyalty_points_used || 0,
+                    loyalty_discount: bookingData.loyalty_discount ?? bookingData.loyalty_points_used ?? 0
                 }),
-                bookingId
+                booking.id
             ]
         );
 
@@ -661,49 +796,138 @@ const verifyPayment = async (req, res) => {
             `UPDATE payment_transactions 
              SET razorpay_payment_id = ?, 
                  razorpay_signature = ?, 
+                 payment_method = COALESCE(?, payment_method),
                  status = 'success', 
                  updated_at = NOW() 
              WHERE id = ?`,
-            [razorpay_payment_id, razorpay_signature, payment.id]
+            [razorpayPaymentId, razorpaySignature, gatewayAmount > 0 ? null : 'wallet', payment.id]
         );
 
         // Commit transaction
         await connection.commit();
         connection.release();
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
 
-        // Generate QR code for event booking
-        const ticketsInfo = bookingData.tickets.map(t => `${t.ticket_name} x${t.quantity}`).join(', ');
-        
-        const qrData = `${booking.booking}|${bookingId}|${bookingData.event_name}|${ticketsInfo}|${bookingData.event_date}|${bookingData.event_time}`;
-        const qrCodeUrl = await bookingHelper.saveQRCodeToFile(qrData, booking.booking);
+    // Record the payment instrument and release a pending referral reward on the first paid booking
+    await referralService.processPaidBooking({
+        userId: userId,
+        paymentTransactionId: payment.id,
+        razorpayPaymentId: razorpayPaymentId,
+        amountPaid: payment.amount,
+        bookingType: 'event_booking',
+        bookingId: booking.id
+    });
+
+    // Generate QR code for event booking
+    const ticketsInfo = bookingData.tickets.map(ticket => `${ticket.ticket_name} x${ticket.quantity}`).join(', ');
+
+    const qrData = `${booking.booking}|${booking.id}|${bookingData.event_name}|${ticketsInfo}|${bookingData.event_date}|${bookingData.event_time}`;
+    const qrCodeUrl = await bookingHelper.saveQRCodeToFile(qrData, booking.booking);
+
+    return {
+        ok: true,
+        payment,
+        booking,
+        bookingData,
+        pointsEarned,
+        qrCodeUrl,
+        razorpayPaymentId
+    };
+};
 
-        return successResponse(res, 'Event booking confirmed successfully', {
-            booking_id: bookingId,
-            booking_number: booking.booking,
-            status: 'confirmed',
-            qr_code_url: qrCodeUrl,
-            booking_details: {
-                event_name: bookingData.event_name,
-                venue_name: bookingData.venue_name,
-                date: bookingData.event_date,
-                time: bookingData.event_time,
-                tickets: bookingData.tickets || [],
-                total_tickets: bookingData.total_tickets,
-                payment_info: {
-                    razorpay_payment_id: razorpay_payment_id,
-                    amount_paid: parseFloat(payment.amount),
-                    payment_method: 'razorpay',
-                    payment_status: 'success'
-                },
-                pricing: bookingData.pricing || {}
-            }
+// Response body for a confirmed event booking (verifyPayment and wallet-only createOrder)
+const buildConfirmationData = ({ payment, booking, bookingData, pointsEarned, qrCodeUrl, razorpayPaymentId }) => {
+    const walletAmount = parseFloat(payment.wallet_amount) || 0;
+    const gatewayAmount = parseFloat(payment.gateway_amount ?? payment.amount) || 0;
+
+    return {
+        booking_id: booking.id,
+        booking_number: booking.booking,
+        status: 'confirmed',
+        qr_code_url: qrCodeUrl,
+        loyalty_points_earned: pointsEarned ? pointsEarned.points : 0,
+        booking_details: {
+            event_name: bookingData.event_name,
+            venue_name: bookingData.venue_name,
+            date: bookingData.event_date,
+            time: bookingData.event_time,
+            tickets: bookingData.tickets || [],
+            total_tickets: bookingData.total_tickets,
+            payment_info: {
+                razorpay_payment_id: razorpayPaymentId,
+                amount_paid: parseFloat(payment.amount),
+                wallet_amount: walletAmount,
+                gateway_amount: gatewayAmount,
+                payment_method: walletService.getPaymentMethod(walletAmount, gatewayAmount),
+                payment_status: 'success'
+            },
+            pricing: bookingData.pricing || {}
+        }
+    };
+};
+
+const verifyPayment = async (req, res) => {
+    try {
+        console.log('========== VERIFY EVENT PAYMENT & UPDATE BOOKING ==========');
+
+        // Check if user is authenticated
+        if (!req.user || !req.user.id) {
+            return errorResponse(res, 'Authentication required. Please login to continue.', 401);
+        }
+
+        const userId = req.user.id;
+        const {
+            razorpay_order_id,
+            razorpay_payment_id,
+            razorpay_signature
+        } = req.body;
+
+        // Validate required fields
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return errorResponse(res, 'Payment details (razorpay_order_id, razorpay_payment_id, razorpay_signature) are required', 400);
+        }
+
+        // Import utilities
+        const razorpayUtil = require('../utils/razorpay');
+
+        // Verify payment signature
+        const isValidSignature = razorpayUtil.verifySignature(
+            razorpay_order_id,
+            razorpay_payment_id,
+            razorpay_signature
+        );
+
+        if (!isValidSignature) {
+            // Note it, but keep the payment pending: a bad or duplicate retry must not block
+            // confirming the captured payment when the valid signature arrives
+            await db.query(
+                `UPDATE payment_transactions 
+                 SET error_description = 'Invalid signature', updated_at = NOW() 
+                 WHERE razorpay_order_id = ? AND user_id = ? AND status = 'pending'`,
+                [razorpay_order_id, userId]
+            );
+
+            return errorResponse(res, 'Invalid payment signature', 400);
+        }
+
+        const confirmation = await confirmBooking({
+            userId: userId,
+            razorpayOrderId: razorpay_order_id,
+            razorpayPaymentId: razorpay_payment_id,
+            razorpaySignature: razorpay_signature
         });
 
-    } catch (error) {
-        if (connection) {
-            await connection.rollback();
-            connection.release();
+        if (!confirmation.ok) {
+            return errorResponse(res, confirmation.message, confirmation.status);
         }
+
+        return successResponse(res, 'Event booking confirmed successfully', buildConfirmationData(confirmation));
+
+    } catch (error) {
         console.error('Verify Event Payment Error:', error);
         return errorResponse(res, 'Failed to verify payment: ' + error.message, 500);
     }
@@ -866,30 +1090,13 @@ const getEventBookingDetails = async (req, res) => {
         const qrCodeUrl = await bookingHelper.saveQRCodeToFile(qrData, booking.booking);
 
         // Get event poster
-        const config = require('../config/config');
-        
         // Try to find event by name to get poster
         const event = await db.queryOne(
             `SELECT id FROM event_details WHERE event_name = ? AND deleted_at IS NULL LIMIT 1`,
             [booking.event_name]
         );
 
-        let posterUrl = null;
-        if (event) {
-            const posterMedia = await db.queryOne(
-                `SELECT id, file_name FROM media 
-                 WHERE model_type = 'App\\\\Models\\\\EventDetail' 
-                 AND model_id = ? 
-                 AND collection_name = 'event_detail_poster_images'
-                 ORDER BY id ASC LIMIT 1`,
-                [event.id]
-            );
-
-            if (posterMedia) {
-                const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-                posterUrl = `${baseUrl}/storage/${posterMedia.id}/${posterMedia.file_name}`;
-            }
-        }
+        const posterUrl = event ? await getEventPosterUrl(event.id) : null;
 
         // Map status code to label
         const statusCode = parseInt(booking.status);
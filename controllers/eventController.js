@@ -1,24 +1,18 @@
 const db = require('../config/db');
 const config = require('../config/config');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const cache = require('../utils/cache');
+const { getMediaUrl } = require('../utils/mediaUrl');
 
 // Helper function to get event poster URL
 const getEventPosterUrl = async (eventId) => {
     try {
-        const media = await db.queryOne(
-            `SELECT id, file_name FROM media 
-       WHERE model_type = 'App\\\\Models\\\\EventDetail' 
-       AND model_id = ? 
-       AND collection_name = 'event_detail_poster_images'
-       ORDER BY id ASC LIMIT 1`,
-            [eventId]
-        );
-
-        if (media) {
-            const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-            return `${baseUrl}/storage/${media.id}/${media.file_name}`;
-        }
-        return null;
+        return await getMediaUrl({
+            modelType: 'App\\Models\\EventDetail',
+            modelId: eventId,
+            collection: 'event_detail_poster_images',
+            orderBy: 'id'
+        });
     } catch (error) {
         console.error('Error fetching event poster:', error.message);
         return null;
@@ -28,13 +22,13 @@ const getEventPosterUrl = async (eventId) => {
 // Helper function to get event translation
 const getEventTranslation = async (eventId, languageCode = 'kn') => {
     try {
-        const translation = await db.queryOne(
+        const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `event:${eventId}:${languageCode}`, () => db.queryOne(
             `SELECT et.*, l.code as language_code
        FROM event_detail_translations et
        JOIN languages l ON et.language_id = l.id
        WHERE et.event_detail_id = ? AND l.code = ? AND l.is_active = 1`,
             [eventId, languageCode]
-        );
+        ));
         return translation;
     } catch (error) {
         console.error('Error fetching translation:', error.message);
@@ -0,0 +1,41 @@
+const loyaltyLedger = require('../utils/loyaltyLedger');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+// Get Loyalty Points Statement
+const getHistory = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const type = req.query.type || null;
+
+    if (type && !Object.values(loyaltyLedger.LEDGER_TYPES).includes(type)) {
+      return errorResponse(res, 'Invalid transaction type', 400);
+    }
+
+    const balance = await loyaltyLedger.getBalance(userId);
+    const { transactions, total } = await loyaltyLedger.getHistory(userId, { page, limit, type });
+    const totalPages = Math.ceil(total / limit);
+
+    return successResponse(res, 'Loyalty history fetched successfully', {
+      balance: balance,
+      transactions: transactions,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Loyalty History Error:', error);
+    return errorResponse(res, 'Failed to fetch loyalty history', 500);
+  }
+};
+
+module.exports = {
+  getHistory
+};
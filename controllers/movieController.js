@@ -1,24 +1,17 @@
 const db = require('../config/db');
 const config = require('../config/config');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const cache = require('../utils/cache');
+const { getMediaUrl } = require('../utils/mediaUrl');
 
 // Helper function to get movie poster URL
 const getMoviePosterUrl = async (movieId) => {
   try {
-    const media = await db.queryOne(
-      `SELECT id, file_name FROM media 
-       WHERE model_type = 'App\\\\Models\\\\ShowManagement' 
-       AND model_id = ? 
-       AND collection_name = 'show_management_movie_poster'
-       ORDER BY order_column ASC LIMIT 1`,
-      [movieId]
-    );
-
-    if (media) {
-      const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
-      return `${baseUrl}/storage/${media.id}/${media.file_name}`;
-    }
-    return null;
+    return await getMediaUrl({
+      modelType: 'App\\Models\\ShowManagement',
+      modelId: movieId,
+      collection: 'show_management_movie_poster'
+    });
   } catch (error) {
     console.error('Error fetching movie poster:', error.message);
     return null;
@@ -28,13 +21,13 @@ const getMoviePosterUrl = async (movieId) => {
 // Helper function to get movie translation
 const getMovieTranslation = async (movieId, languageCode = 'kn') => {
   try {
-    const translation = await db.queryOne(
+    const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `movie:${movieId}:${languageCode}`, () => db.queryOne(
       `SELECT mt.*, l.code as language_code
        FROM show_management_translations mt
        JOIN languages l ON mt.language_id = l.id
        WHERE mt.show_management_id = ? AND l.code = ? AND l.is_active = 1`,
       [movieId, languageCode]
-    );
+    ));
     return translation;
   } catch (error) {
     console.error('Error fetching translation:', error.message);
@@ -42,6 +35,23 @@ const getMovieTranslation = async (movieId, languageCode = 'kn') => {
   }
 };
 
+// Helper function to get theater translation
+const getTheaterTranslation = async (theaterId, languageCode = 'kn') => {
+  try {
+    const translation = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `theater:${theaterId}:${languageCode}`, () => db.queryOne(
+      `SELECT tt.*, l.code as language_code
+       FROM theater_translations tt
+       JOIN languages l ON tt.language_id = l.id
+       WHERE tt.theater_id = ? AND l.code = ? AND l.is_active = 1`,
+      [theaterId, languageCode]
+    ));
+    return translation;
+  } catch (error) {
+    console.error('Error fetching theater translation:', error.message);
+    return null;
+  }
+};
+
 const safeJSONParse = (jsonString, fieldName = 'field', defaultValue = []) => {
   // If it's already an array or object, return it as-is
   if (Array.isArray(jsonString)) {
@@ -585,13 +595,7 @@ const getTheatersSchedules = async (req, res) => {
     const result = await Promise.all(
       theaters.map(async (theater) => {
         // Get theater translation
-        const theaterTranslation = await db.queryOne(
-          `SELECT tt.theater_name, tt.address, tt.city
-           FROM theater_translations tt
-           JOIN languages l ON tt.language_id = l.id
-           WHERE tt.theater_id = ? AND l.code = ? AND l.is_active = 1`,
-          [theater.theater_id, lang]
-        );
+        const theaterTranslation = await getTheaterTranslation(theater.theater_id, lang);
 
         // Map city code to city name
         const cityMapping = {
@@ -1104,19 +1108,13 @@ const searchMovies = async (req, res) => {
           // Get theater info
           let theaterInfo = null;
           if (movie.theaters_id) {
-            const theater = await db.queryOne(
+            const theater = await cache.remember(cache.NAMESPACES.THEATERS, movie.theaters_id, () => db.queryOne(
               `SELECT id, theater_name, city FROM theaters WHERE id = ? AND deleted_at IS NULL`,
               [movie.theaters_id]
-            );
+            ));
 
             if (theater) {
-              const theaterTranslation = await db.queryOne(
-                `SELECT tt.theater_name, tt.city
-                 FROM theater_translations tt
-                 JOIN languages l ON tt.language_id = l.id
-                 WHERE tt.theater_id = ? AND l.code = ? AND l.is_active = 1`,
-                [theater.id, language]
-              );
+              const theaterTranslation = await getTheaterTranslation(theater.id, language);
 
               const cityMapping = {
                 '0': 'Bengaluru',
@@ -1161,13 +1159,7 @@ const searchMovies = async (req, res) => {
       formattedTheaters = await Promise.all(
         theaters.map(async (theater) => {
           // Get theater translation
-          const theaterTranslation = await db.queryOne(
-            `SELECT tt.theater_name, tt.address, tt.city
-             FROM theater_translations tt
-             JOIN languages l ON tt.language_id = l.id
-             WHERE tt.theater_id = ? AND l.code = ? AND l.is_active = 1`,
-            [theater.id, language]
-          );
+          const theaterTranslation = await getTheaterTranslation(theater.id, language);
 
           const cityMapping = {
             '0': 'Bengaluru',
@@ -1309,13 +1301,7 @@ const getSearchSuggestions = async (req, res) => {
     // Format theater suggestions
     const formattedTheaters = await Promise.all(
       (theaterSuggestions || []).map(async (theater) => {
-        const theaterTranslation = await db.queryOne(
-          `SELECT tt.theater_name, tt.city
-           FROM theater_translations tt
-           JOIN languages l ON tt.language_id = l.id
-           WHERE tt.theater_id = ? AND l.code = ? AND l.is_active = 1`,
-          [theater.id, language]
-        );
+        const theaterTranslation = await getTheaterTranslation(theater.id, language);
 
         const cityMapping = {
           '0': 'Bengaluru',
@@ -0,0 +1,114 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+// "Ravi Kumar" -> "R*** K***"
+const maskName = (name) => {
+  if (!name) return 'NammaShow user';
+  return name
+    .trim()
+    .split(/\s+/)
+    .map(part => `${part.charAt(0).toUpperCase()}***`)
+    .join(' ');
+};
+
+// Confirmed/completed theatre booking or confirmed event booking
+const HAS_BOOKED_SQL = `(
+  EXISTS (SELECT 1 FROM theater_bookings tb
+          WHERE JSON_EXTRACT(tb.user_information, "$.user_id") = up.id AND tb.status IN (1, 3) AND tb.deleted_at IS NULL)
+  OR EXISTS (SELECT 1 FROM event_bookings eb
+             WHERE JSON_EXTRACT(eb.user_information, "$.user_id") = up.id AND eb.status = 1 AND eb.deleted_at IS NULL)
+)`;
+
+const getFriendStatus = (friend) => {
+  if (friend.reward_status === 'released') return 'rewarded';
+  if (friend.reward_status === 'rejected') return 'not_eligible';
+  return friend.has_booked ? 'booked' : 'signed_up';
+};
+
+// Get My Referral Dashboard
+const getMyReferrals = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const user = await db.queryOne('SELECT id, referral_code FROM users_profiles WHERE id = ?', [userId]);
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (!user.referral_code) {
+      return errorResponse(res, 'Complete your profile to get a referral code', 400);
+    }
+
+    const summary = await db.queryOne(
+      `SELECT COUNT(*) as sign_ups, COALESCE(SUM(${HAS_BOOKED_SQL}), 0) as booked
+       FROM users_profiles up
+       WHERE up.referred_by = ? AND up.id <> ?`,
+      [user.referral_code, userId]
+    );
+
+    const earned = await db.queryOne(
+      `SELECT COALESCE(SUM(points), 0) as total FROM loyalty_point_transactions
+       WHERE user_id = ? AND type = 'referral'`,
+      [userId]
+    );
+
+    const pending = await db.queryOne(
+      `SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total FROM referral_rewards
+       WHERE referrer_id = ? AND status = 'pending'`,
+      [userId]
+    );
+
+    const offset = (page - 1) * limit;
+    const friends = await db.query(
+      `SELECT up.full_name, up.created_at, rr.status as reward_status, rr.amount as reward_amount,
+              rr.released_at, ${HAS_BOOKED_SQL} as has_booked
+       FROM users_profiles up
+       LEFT JOIN referral_rewards rr ON rr.referee_id = up.id AND rr.referrer_id = ?
+       WHERE up.referred_by = ? AND up.id <> ?
+       ORDER BY up.created_at DESC, up.id DESC
+       LIMIT ? OFFSET ?`,
+      [userId, user.referral_code, userId, limit, offset]
+    );
+
+    const totalPages = Math.ceil(summary.sign_ups / limit);
+
+    return successResponse(res, 'Referrals fetched successfully', {
+      referral_code: user.referral_code,
+      share_link: `${config.referral.deepLinkBase}?code=${encodeURIComponent(user.referral_code)}`,
+      stats: {
+        sign_ups: summary.sign_ups,
+        booked: parseInt(summary.booked),
+        rewards_earned: parseFloat(earned.total),
+        rewards_pending: parseFloat(pending.total),
+        pending_count: pending.count
+      },
+      friends: friends.map(friend => ({
+        name: maskName(friend.full_name),
+        joined_at: friend.created_at,
+        status: getFriendStatus(friend),
+        reward_amount: friend.reward_amount !== null ? parseFloat(friend.reward_amount) : null,
+        rewarded_at: friend.released_at
+      })),
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: summary.sign_ups,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Referrals Error:', error);
+    return errorResponse(res, 'Failed to fetch referrals', 500);
+  }
+};
+
+module.exports = {
+  getMyReferrals
+};
@@ -1,5 +1,6 @@
 const db = require('../config/db');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const cache = require('../utils/cache');
 
 // Get all translations for a specific language
 const getTranslations = async (req, res) => {
@@ -9,20 +10,20 @@ const getTranslations = async (req, res) => {
 
     console.log('Fetching translations for language:', languageCode);
 
-    const languageRecord = await db.queryOne(
+    const languageRecord = await cache.remember(cache.NAMESPACES.LANGUAGES, `code:${languageCode}`, () => db.queryOne(
       'SELECT id FROM languages WHERE code = ? AND is_active = 1',
       [languageCode]
-    );
+    ));
 
     if (!languageRecord) {
       return errorResponse(res, 'Language not found or inactive', 404);
     }
 
     // Get all active translations for this language
-    const translations = await db.query(
+    const translations = await cache.remember(cache.NAMESPACES.TRANSLATIONS, `manual:${languageRecord.id}`, () => db.query(
       'SELECT translation_key, translation_value FROM manual_translations WHERE language_id = ? AND is_active = 1 AND deleted_at IS NULL',
       [languageRecord.id]
-    );
+    ));
 
     // Convert to key-value object
     const result = {};
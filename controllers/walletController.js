@@ -0,0 +1,229 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const walletService = require('../utils/walletService');
+const razorpayUtil = require('../utils/razorpay');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+// Get Wallet Balance and Statement
+const getWallet = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const type = req.query.type || null;
+
+    if (type && !Object.values(walletService.WALLET_TYPES).includes(type)) {
+      return errorResponse(res, 'Invalid transaction type', 400);
+    }
+
+    const balance = await walletService.getBalance(userId);
+    const { transactions, total } = await walletService.getHistory(userId, { page, limit, type });
+    const totalPages = Math.ceil(total / limit);
+
+    return successResponse(res, 'Wallet fetched successfully', {
+      balance: balance,
+      currency: 'INR',
+      transactions: transactions,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Wallet Error:', error);
+    return errorResponse(res, 'Failed to fetch wallet', 500);
+  }
+};
+
+// Create Razorpay Order for a Wallet Top-up
+const createTopup = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const amount = walletService.roundMoney(req.body.amount);
+
+    if (!amount || amount < config.wallet.minTopup || amount > config.wallet.maxTopup) {
+      return errorResponse(res, `Top-up amount must be between ₹${config.wallet.minTopup} and ₹${config.wallet.maxTopup}`, 400);
+    }
+
+    const balance = await walletService.getBalance(userId);
+    if (balance + amount > config.wallet.maxBalance) {
+      return errorResponse(res, `Wallet balance cannot exceed ₹${config.wallet.maxBalance}`, 400);
+    }
+
+    const receiptId = razorpayUtil.generateReceiptId(userId);
+    const razorpayOrder = await razorpayUtil.createOrder(amount, receiptId, {
+      user_id: userId,
+      purpose: 'wallet_topup'
+    });
+
+    await db.query(
+      `INSERT INTO payment_transactions
+       (user_id, purpose, razorpay_order_id, amount, wallet_amount, gateway_amount, currency, status, payment_details, created_at, updated_at)
+       VALUES (?, 'wallet_topup', ?, ?, 0, ?, 'INR', 'pending', ?, NOW(), NOW())`,
+      [userId, razorpayOrder.id, amount, amount, JSON.stringify({ type: 'wallet_topup' })]
+    );
+
+    return successResponse(res, 'Razorpay order created successfully', {
+      order_id: razorpayOrder.id,
+      amount: amount,
+      currency: 'INR',
+      key_id: razorpayUtil.KEY_ID
+    });
+
+  } catch (error) {
+    console.error('Create Wallet Topup Error:', error);
+    return errorResponse(res, 'Failed to create top-up order', 500);
+  }
+};
+
+// Verify Top-up Payment and Credit the Wallet
+const verifyTopup = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return errorResponse(res, 'Payment details (razorpay_order_id, razorpay_payment_id, razorpay_signature) are required', 400);
+    }
+
+    if (!razorpayUtil.verifySignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      // Keep the top-up pending so a bad retry cannot block the real payment
+      await db.query(
+        `UPDATE payment_transactions
+         SET error_description = 'Invalid signature', updated_at = NOW()
+         WHERE razorpay_order_id = ? AND user_id = ? AND purpose = 'wallet_topup' AND status = 'pending'`,
+        [razorpay_order_id, userId]
+      );
+      return errorResponse(res, 'Invalid payment signature', 400);
+    }
+
+    const connection = await db.beginTransaction();
+    let credit;
+
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM payment_transactions
+         WHERE razorpay_order_id = ? AND user_id = ? AND purpose = 'wallet_topup'
+         FOR UPDATE`,
+        [razorpay_order_id, userId]
+      );
+      const payment = rows[0];
+
+      if (!payment) {
+        await connection.rollback();
+        connection.release();
+        return errorResponse(res, 'Payment transaction not found', 404);
+      }
+
+      if (payment.status === 'success') {
+        await connection.rollback();
+        connection.release();
+        return errorResponse(res, 'Payment already verified', 400);
+      }
+
+      // A signature alone is not proof of payment (test signatures pass it); credit stored value
+      // only for a payment Razorpay captured on this order for the full amount
+      let gatewayPayment;
+      try {
+        gatewayPayment = await razorpayUtil.fetchPayment(razorpay_payment_id);
+      } catch (error) {
+        await connection.rollback();
+        connection.release();
+        return errorResponse(res, 'Unable to confirm the payment with Razorpay. Please try again', 502);
+      }
+
+      if (gatewayPayment.status !== 'captured' ||
+        gatewayPayment.order_id !== razorpay_order_id ||
+        Number(gatewayPayment.amount) !== Math.round(parseFloat(payment.amount) * 100)) {
+        await connection.rollback();
+        connection.release();
+        return errorResponse(res, 'Payment has not been captured for this top-up', 400);
+      }
+
+      credit = await walletService.recordEntry(connection, {
+        userId: userId,
+        type: walletService.WALLET_TYPES.TOPUP,
+        amount: payment.amount,
+        referenceType: 'payment_transaction',
+        referenceId: payment.id,
+        description: 'Wallet top-up'
+      });
+
+      await connection.query(
+        `UPDATE payment_transactions
+         SET razorpay_payment_id = ?, razorpay_signature = ?, status = 'success', updated_at = NOW()
+         WHERE id = ?`,
+        [razorpay_payment_id, razorpay_signature, payment.id]
+      );
+
+      await connection.commit();
+      connection.release();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      throw error;
+    }
+
+    return successResponse(res, 'Wallet topped up successfully', {
+      amount: credit ? credit.amount : 0,
+      balance: await walletService.getBalance(userId)
+    });
+
+  } catch (error) {
+    console.error('Verify Wallet Topup Error:', error);
+    return errorResponse(res, 'Failed to verify top-up', 500);
+  }
+};
+
+// Grant a Promotional or Refund Credit (admin)
+const creditWallet = async (req, res) => {
+  try {
+    const { user_id, amount, type, description } = req.body;
+    const value = walletService.roundMoney(amount);
+    const allowedTypes = [walletService.WALLET_TYPES.PROMO, walletService.WALLET_TYPES.REFUND];
+
+    if (!user_id || !value || value <= 0) {
+      return errorResponse(res, 'user_id and a positive amount are required', 400);
+    }
+
+    if (!allowedTypes.includes(type)) {
+      return errorResponse(res, `type must be one of: ${allowedTypes.join(', ')}`, 400);
+    }
+
+    const user = await db.queryOne('SELECT id FROM users_profiles WHERE id = ?', [user_id]);
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const credit = await walletService.addEntry({
+      userId: user.id,
+      type: type,
+      amount: value,
+      referenceType: 'admin',
+      description: description || (type === walletService.WALLET_TYPES.PROMO ? 'Promotional credit' : 'Refund'),
+      createdBy: req.user.id
+    });
+
+    return successResponse(res, 'Wallet credited successfully', {
+      user_id: user.id,
+      amount: credit.amount,
+      balance: credit.balance_after
+    });
+
+  } catch (error) {
+    console.error('Credit Wallet Error:', error);
+    return errorResponse(res, 'Failed to credit wallet', 500);
+  }
+};
+
+module.exports = {
+  getWallet,
+  createTopup,
+  verifyTopup,
+  creditWallet
+};
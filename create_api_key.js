@@ -0,0 +1,36 @@
+const db = require('./config/db');
+const { createApiKey } = require('./utils/apiKeys');
+
+// Usage: node create_api_key.js "<name>" <box_office|kiosk|aggregator> <user_id> <theater_ids> <scopes> [rate_limit_per_minute]
+// e.g.   node create_api_key.js "Forum Mall Kiosk 1" kiosk 42 7 seats.read,seats.lock,bookings.create 120
+async function createKey() {
+    try {
+        const [name, clientType, userId, theaterIds, scopes, rateLimit] = process.argv.slice(2);
+
+        if (!name || !clientType || !userId || !theaterIds || !scopes) {
+            console.error('Usage: node create_api_key.js "<name>" <client_type> <user_id> <theater_ids> <scopes> [rate_limit_per_minute]');
+            process.exit(1);
+        }
+
+        const { id, keyId, signingSecret } = await createApiKey({
+            name,
+            clientType,
+            userId: parseInt(userId),
+            theaterIds: theaterIds.split(','),
+            scopes: scopes.split(','),
+            rateLimitPerMinute: parseInt(rateLimit) || 60
+        });
+
+        console.log(`API key #${id} created.`);
+        console.log(`Key id (send as X-Api-Key): ${keyId}`);
+        console.log('Signing secret (never sent; store it now - it cannot be shown again):');
+        console.log(signingSecret);
+
+        process.exit(0);
+    } catch (error) {
+        console.error(error);
+        process.exit(1);
+    }
+}
+
+createKey();
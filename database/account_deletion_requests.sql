@@ -0,0 +1,17 @@
+-- DPDP: user requested account deletion. PII is anonymised once scheduled_for passes,
+-- booking financials are kept for tax purposes.
+CREATE TABLE IF NOT EXISTS `account_deletion_requests` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `status` enum('pending','cancelled','completed') NOT NULL DEFAULT 'pending',
+  `reason` varchar(500) DEFAULT NULL,
+  `requested_ip` varchar(45) DEFAULT NULL,
+  `scheduled_for` timestamp NULL DEFAULT NULL,
+  `cancelled_at` timestamp NULL DEFAULT NULL,
+  `completed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `account_deletion_requests_user` (`user_id`, `status`),
+  KEY `account_deletion_requests_due` (`status`, `scheduled_for`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
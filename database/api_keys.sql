@@ -0,0 +1,34 @@
+-- API keys for box-office counters, kiosks and aggregator partners.
+-- Clients send the key id (nsk_<prefix>) in X-Api-Key and sign every request with a separate
+-- signing secret that is never transmitted; the secret is stored AES-256-GCM encrypted.
+-- Requests are made as `user_id` (a service profile for the counter / partner).
+CREATE TABLE IF NOT EXISTS `api_keys` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `name` varchar(255) NOT NULL,
+  `client_type` enum('box_office','kiosk','aggregator') NOT NULL,
+  `key_prefix` varchar(16) NOT NULL,
+  `signing_secret` varchar(255) NOT NULL COMMENT 'iv.tag.ciphertext (base64url)',
+  `user_id` bigint(20) UNSIGNED NOT NULL COMMENT 'users_profiles row the bookings are created under',
+  `scopes` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL COMMENT 'JSON array e.g. ["seats.read","seats.lock","bookings.create"]',
+  `theater_ids` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL COMMENT 'JSON array of theaters.id the key may act on',
+  `rate_limit_per_minute` int(11) NOT NULL DEFAULT 60,
+  `last_used_at` timestamp NULL DEFAULT NULL,
+  `last_used_ip` varchar(45) DEFAULT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `revoked_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `api_keys_key_prefix_unique` (`key_prefix`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Request nonces seen per key, kept while their timestamp is still accepted
+CREATE TABLE IF NOT EXISTS `api_key_nonces` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `api_key_id` bigint(20) UNSIGNED NOT NULL,
+  `nonce` varchar(64) NOT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `api_key_nonces_key_nonce_unique` (`api_key_id`, `nonce`),
+  KEY `api_key_nonces_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+-- Admin access to the reference data cache (stats + invalidation after edits)
+INSERT IGNORE INTO `api_role_permissions` (`role`, `permission`, `created_at`) VALUES
+  ('admin', 'cache.manage', NOW());
@@ -0,0 +1,22 @@
+-- When the current email address was verified (NULL = unverified). Addresses saved before
+-- verification existed are not backfilled; the profile asks those users to verify them.
+ALTER TABLE `users_profiles`
+  ADD COLUMN `email_verified_at` timestamp NULL DEFAULT NULL AFTER `email_address`;
+
+-- Pending email address changes. users_profiles.email_address is only replaced
+-- once the new address is verified by link or code.
+CREATE TABLE IF NOT EXISTS `email_verifications` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `email` varchar(255) NOT NULL,
+  `token_hash` char(64) NOT NULL COMMENT 'SHA-256 of the link token',
+  `code_hash` char(64) NOT NULL COMMENT 'SHA-256 of the in-app code',
+  `attempts` int(11) NOT NULL DEFAULT 0,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `verified_at` timestamp NULL DEFAULT NULL,
+  `superseded_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `email_verifications_token_hash_unique` (`token_hash`),
+  KEY `email_verifications_user` (`user_id`, `verified_at`, `superseded_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
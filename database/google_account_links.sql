@@ -0,0 +1,22 @@
+-- Google identity attached to a user profile
+ALTER TABLE `users_profiles`
+  ADD COLUMN `google_id` varchar(255) DEFAULT NULL AFTER `email_address`,
+  ADD UNIQUE KEY `users_profiles_google_id_unique` (`google_id`);
+
+-- Pending requests to link a Google identity to an existing phone-OTP account.
+-- The link is only applied after the user confirms with an OTP sent to the account's phone.
+CREATE TABLE IF NOT EXISTS `account_link_requests` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `provider` varchar(20) NOT NULL DEFAULT 'google',
+  `provider_user_id` varchar(255) NOT NULL,
+  `email` varchar(255) DEFAULT NULL,
+  `name` varchar(255) DEFAULT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `confirmed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `account_link_requests_token_hash_unique` (`token_hash`),
+  KEY `account_link_requests_user_id` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
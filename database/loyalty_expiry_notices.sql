@@ -0,0 +1,11 @@
+-- "Points expiring soon" notices, one per user per expiry date.
+CREATE TABLE IF NOT EXISTS `loyalty_expiry_notices` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `expires_on` date NOT NULL,
+  `points` decimal(10,2) NOT NULL,
+  `channel` varchar(20) DEFAULT NULL COMMENT 'email, none',
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `loyalty_expiry_notices_user_date_unique` (`user_id`, `expires_on`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,24 @@
+-- Append-only loyalty points ledger. Credits are positive, debits negative;
+-- a user's balance is SUM(points). users_profiles.loyality_points is kept as a
+-- read-only mirror of the latest balance_after for the admin panel.
+CREATE TABLE IF NOT EXISTS `loyalty_point_transactions` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `type` enum('earn','redeem','referral','expiry','adjustment') NOT NULL,
+  `points` decimal(10,2) NOT NULL,
+  `balance_after` decimal(10,2) NOT NULL,
+  `reference_type` varchar(30) DEFAULT NULL COMMENT 'theater_booking, event_booking, referral, admin, opening_balance',
+  `reference_id` bigint(20) UNSIGNED DEFAULT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `loyalty_txn_reference_unique` (`user_id`, `type`, `reference_type`, `reference_id`),
+  KEY `loyalty_txn_user_created` (`user_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Carry existing balances over as opening adjustments
+INSERT IGNORE INTO `loyalty_point_transactions`
+  (user_id, type, points, balance_after, reference_type, reference_id, description, created_at)
+SELECT id, 'adjustment', loyality_points, loyality_points, 'opening_balance', id, 'Opening balance', NOW()
+FROM users_profiles
+WHERE loyality_points IS NOT NULL AND loyality_points <> 0;
@@ -0,0 +1,5 @@
+-- Eligible spend (ticket + food, excluding GST and fees) behind each `earn` entry.
+-- Tiers are based on the rolling sum of this column.
+ALTER TABLE `loyalty_point_transactions`
+  ADD COLUMN `spend_amount` decimal(10,2) DEFAULT NULL AFTER `balance_after`,
+  ADD KEY `loyalty_txn_user_type_created` (`user_id`, `type`, `created_at`);
@@ -0,0 +1,3 @@
+-- Per-theatre switch for the no-orphan-seat rule (1 = reject selections that strand a single seat)
+ALTER TABLE `theaters`
+  ADD COLUMN `prevent_orphan_seats` tinyint(1) NOT NULL DEFAULT 1;
@@ -0,0 +1,32 @@
+-- Audit trail of every OTP send / verify attempt (per phone and per IP)
+CREATE TABLE IF NOT EXISTS `otp_attempts` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `phone_number` varchar(20) NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `otp_id` bigint(20) UNSIGNED DEFAULT NULL COMMENT 'otps.id the attempt was made against',
+  `action` enum('send','verify') NOT NULL,
+  `success` tinyint(1) NOT NULL DEFAULT 0,
+  `error_code` varchar(50) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_otp_attempts_phone` (`phone_number`, `action`, `created_at`),
+  KEY `idx_otp_attempts_ip` (`ip_address`, `action`, `created_at`),
+  KEY `idx_otp_attempts_otp` (`otp_id`, `action`, `success`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Temporary lockouts after too many failed verifications
+CREATE TABLE IF NOT EXISTS `otp_lockouts` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `scope` enum('phone','ip') NOT NULL,
+  `identifier` varchar(45) NOT NULL,
+  `reason` varchar(100) DEFAULT NULL,
+  `locked_until` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_otp_lockouts_lookup` (`scope`, `identifier`, `locked_until`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Verify attempts made against each OTP, counted atomically before the code is compared
+ALTER TABLE `otps`
+  ADD COLUMN `failed_attempts` tinyint(3) UNSIGNED NOT NULL DEFAULT 0 AFTER `is_verified`;
@@ -0,0 +1,23 @@
+-- Phone number change: both the current and the new number must be confirmed by OTP
+CREATE TABLE IF NOT EXISTS `phone_change_requests` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `old_phone_number` varchar(20) DEFAULT NULL,
+  `new_phone_number` varchar(20) NOT NULL,
+  `status` enum('pending','completed','cancelled','expired') NOT NULL DEFAULT 'pending',
+  `old_verified_at` timestamp NULL DEFAULT NULL,
+  `new_verified_at` timestamp NULL DEFAULT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `completed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `phone_change_requests_user` (`user_id`, `status`),
+  KEY `phone_change_requests_new_phone` (`new_phone_number`, `status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One account per phone number, so a concurrent signup or change cannot take a number being
+-- switched to. Resolve existing duplicates first:
+--   SELECT phone_number, COUNT(*) FROM users_profiles WHERE phone_number IS NOT NULL GROUP BY phone_number HAVING COUNT(*) > 1;
+ALTER TABLE `users_profiles`
+  ADD UNIQUE KEY `users_profiles_phone_number_unique` (`phone_number`);
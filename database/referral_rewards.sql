@@ -0,0 +1,29 @@
+-- Referral rewards are held as pending until the referred user's first paid booking.
+CREATE TABLE IF NOT EXISTS `referral_rewards` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `referrer_id` bigint(20) UNSIGNED NOT NULL,
+  `referee_id` bigint(20) UNSIGNED NOT NULL,
+  `referral_code` varchar(50) NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `status` enum('pending','released','rejected') NOT NULL DEFAULT 'pending',
+  `rejection_reason` varchar(50) DEFAULT NULL COMMENT 'self_referral, same_device, same_payment_instrument, monthly_cap_reached',
+  `referee_device_id` varchar(255) DEFAULT NULL,
+  `booking_type` varchar(30) DEFAULT NULL COMMENT 'theater_booking, event_booking',
+  `booking_id` bigint(20) UNSIGNED DEFAULT NULL,
+  `released_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `referral_rewards_referee_unique` (`referee_id`),
+  KEY `referral_rewards_referrer` (`referrer_id`, `status`, `released_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Stable app install id (X-Device-Id) used for the same-device check
+ALTER TABLE `user_sessions`
+  ADD COLUMN `device_id` varchar(255) DEFAULT NULL AFTER `user_id`,
+  ADD KEY `user_sessions_device` (`device_id`);
+
+-- Hash of the card / UPI handle / wallet used, for the same-instrument check
+ALTER TABLE `payment_transactions`
+  ADD COLUMN `instrument_fingerprint` char(64) DEFAULT NULL AFTER `payment_method`,
+  ADD KEY `payment_transactions_instrument` (`instrument_fingerprint`);
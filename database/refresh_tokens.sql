@@ -0,0 +1,19 @@
+-- Opaque refresh tokens (only the SHA-256 hash is stored).
+-- All tokens produced by rotating one login share a session_id; reusing a rotated
+-- token revokes the whole session.
+CREATE TABLE IF NOT EXISTS `refresh_tokens` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `session_id` char(36) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `revoked_at` timestamp NULL DEFAULT NULL,
+  `revoked_reason` varchar(50) DEFAULT NULL COMMENT 'rotated, logout, logout_all, reuse_detected',
+  `replaced_by_id` bigint(20) UNSIGNED DEFAULT NULL,
+  `created_ip` varchar(45) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `refresh_tokens_token_hash_unique` (`token_hash`),
+  KEY `refresh_tokens_session` (`session_id`, `revoked_at`, `expires_at`),
+  KEY `refresh_tokens_user` (`user_id`, `revoked_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,23 @@
+-- The unique (schedule_id, seat_number) key is what keeps two users from holding the same seat
+CREATE TABLE IF NOT EXISTS `seat_locks` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `schedule_id` bigint(20) UNSIGNED NOT NULL,
+  `seat_number` varchar(20) NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `locked_at` timestamp NULL DEFAULT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `seat_locks_schedule_seat_unique` (`schedule_id`, `seat_number`),
+  KEY `seat_locks_user` (`user_id`, `schedule_id`),
+  KEY `seat_locks_expires` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- When each user's hold on a schedule started. Kept while the user has any live lock there,
+-- so the maximum hold is measured from the first seat even if that seat is later released.
+CREATE TABLE IF NOT EXISTS `seat_holds` (
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `schedule_id` bigint(20) UNSIGNED NOT NULL,
+  `started_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`user_id`, `schedule_id`),
+  KEY `seat_holds_started_at` (`started_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
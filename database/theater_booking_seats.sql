@@ -0,0 +1,92 @@
+-- One row per seat of a confirmed/completed theater booking. `active` is 1 while the booking holds
+-- the seat and NULL once released, so the unique key only applies to active rows.
+-- theater_bookings.seats_booked stays the copy the Laravel admin reads.
+CREATE TABLE IF NOT EXISTS `theater_booking_seats` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `booking_id` bigint(20) UNSIGNED NOT NULL,
+  `schedule_id` bigint(20) UNSIGNED NOT NULL,
+  `seat_number` varchar(20) NOT NULL,
+  `active` tinyint(1) DEFAULT 1,
+  `created_at` timestamp NULL DEFAULT NULL,
+  `released_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `theater_booking_seats_active_unique` (`schedule_id`, `seat_number`, `active`),
+  KEY `theater_booking_seats_booking` (`booking_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Backfill from existing bookings
+INSERT IGNORE INTO `theater_booking_seats` (`booking_id`, `schedule_id`, `seat_number`, `active`, `created_at`)
+SELECT tb.id, tb.schedule_id, COALESCE(s.seat_id, s.seat_number), 1, NOW()
+FROM theater_bookings tb
+JOIN JSON_TABLE(tb.seats_booked, '$[*]' COLUMNS (
+  seat_id varchar(20) PATH '$.id',
+  seat_number varchar(20) PATH '$.seat_number'
+)) s
+WHERE tb.status IN (1, 3)
+AND tb.deleted_at IS NULL
+AND COALESCE(s.seat_id, s.seat_number) IS NOT NULL;
+
+-- How far the background sync has read theater_bookings.updated_at (a single row, id 1).
+-- Starts at the backfill, so the first run only picks up bookings changed since.
+CREATE TABLE IF NOT EXISTS `booked_seat_sync_state` (
+  `id` tinyint(3) UNSIGNED NOT NULL,
+  `synced_until` timestamp NULL DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO `booked_seat_sync_state` (`id`, `synced_until`, `updated_at`) VALUES (1, NOW(), NOW());
+
+-- Keep theater_booking_seats current for bookings written straight to theater_bookings (admin
+-- counter bookings, edits and cancellations), so availability never has to parse seats_booked.
+-- A seat another active booking already holds is skipped here and logged by the sync job.
+-- (Creating triggers with binary logging on may need log_bin_trust_function_creators = 1.)
+DROP TRIGGER IF EXISTS `theater_bookings_seats_after_insert`;
+DROP TRIGGER IF EXISTS `theater_bookings_seats_after_update`;
+
+DELIMITER $$
+
+CREATE TRIGGER `theater_bookings_seats_after_insert` AFTER INSERT ON `theater_bookings`
+FOR EACH ROW
+BEGIN
+  IF NEW.status IN (1, 3) AND NEW.deleted_at IS NULL AND JSON_VALID(NEW.seats_booked) THEN
+    INSERT IGNORE INTO `theater_booking_seats` (`booking_id`, `schedule_id`, `seat_number`, `active`, `created_at`)
+    SELECT NEW.id, NEW.schedule_id, COALESCE(s.seat_id, s.seat_number), 1, NOW()
+    FROM JSON_TABLE(NEW.seats_booked, '$[*]' COLUMNS (
+      seat_id varchar(20) PATH '$.id',
+      seat_number varchar(20) PATH '$.seat_number'
+    )) s
+    WHERE COALESCE(s.seat_id, s.seat_number) IS NOT NULL;
+  END IF;
+END$$
+
+CREATE TRIGGER `theater_bookings_seats_after_update` AFTER UPDATE ON `theater_bookings`
+FOR EACH ROW
+BEGIN
+  IF NEW.status NOT IN (1, 3) OR NEW.deleted_at IS NOT NULL OR NOT JSON_VALID(NEW.seats_booked) THEN
+    UPDATE `theater_booking_seats` SET `active` = NULL, `released_at` = NOW()
+    WHERE `booking_id` = NEW.id AND `active` = 1;
+  ELSE
+    -- Seats moved off the booking
+    UPDATE `theater_booking_seats` SET `active` = NULL, `released_at` = NOW()
+    WHERE `booking_id` = NEW.id AND `active` = 1
+    AND `seat_number` NOT IN (
+      SELECT COALESCE(s.seat_id, s.seat_number)
+      FROM JSON_TABLE(NEW.seats_booked, '$[*]' COLUMNS (
+        seat_id varchar(20) PATH '$.id',
+        seat_number varchar(20) PATH '$.seat_number'
+      )) s
+      WHERE COALESCE(s.seat_id, s.seat_number) IS NOT NULL
+    );
+
+    INSERT IGNORE INTO `theater_booking_seats` (`booking_id`, `schedule_id`, `seat_number`, `active`, `created_at`)
+    SELECT NEW.id, NEW.schedule_id, COALESCE(s.seat_id, s.seat_number), 1, NOW()
+    FROM JSON_TABLE(NEW.seats_booked, '$[*]' COLUMNS (
+      seat_id varchar(20) PATH '$.id',
+      seat_number varchar(20) PATH '$.seat_number'
+    )) s
+    WHERE COALESCE(s.seat_id, s.seat_number) IS NOT NULL;
+  END IF;
+END$$
+
+DELIMITER ;
@@ -0,0 +1,39 @@
+-- Role based access for the mobile API. Every user is implicitly a `customer`;
+-- staff / organiser / admin roles are granted here (optionally scoped to a theatre or event organiser).
+CREATE TABLE IF NOT EXISTS `api_role_permissions` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `role` varchar(50) NOT NULL,
+  `permission` varchar(100) NOT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `api_role_permissions_unique` (`role`, `permission`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `api_user_roles` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `role` varchar(50) NOT NULL,
+  `theater_id` bigint(20) UNSIGNED DEFAULT NULL COMMENT 'Scope for theatre staff / managers',
+  `event_organizer_id` bigint(20) UNSIGNED DEFAULT NULL COMMENT 'Scope for event organisers',
+  `granted_by` bigint(20) UNSIGNED DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  `revoked_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `api_user_roles_user` (`user_id`, `revoked_at`),
+  KEY `api_user_roles_theater` (`theater_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO `api_role_permissions` (`role`, `permission`, `created_at`) VALUES
+  ('theatre_staff', 'bookings.view', NOW()),
+  ('theatre_staff', 'bookings.checkin', NOW()),
+  ('theatre_staff', 'seats.view', NOW()),
+  ('theatre_manager', 'bookings.view', NOW()),
+  ('theatre_manager', 'bookings.checkin', NOW()),
+  ('theatre_manager', 'bookings.cancel', NOW()),
+  ('theatre_manager', 'seats.view', NOW()),
+  ('theatre_manager', 'seats.block', NOW()),
+  ('theatre_manager', 'schedules.manage', NOW()),
+  ('theatre_manager', 'food.manage', NOW()),
+  ('event_organiser', 'events.manage', NOW()),
+  ('event_organiser', 'events.bookings.view', NOW()),
+  ('event_organiser', 'events.bookings.checkin', NOW());
@@ -0,0 +1,18 @@
+-- One row per login (OTP / Google). The id is the `sid` claim carried in access tokens
+-- and the session_id shared by that login's rotating refresh tokens.
+CREATE TABLE IF NOT EXISTS `user_sessions` (
+  `id` char(36) NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `device_name` varchar(255) DEFAULT NULL,
+  `platform` varchar(50) DEFAULT NULL COMMENT 'android, ios, web',
+  `app_version` varchar(50) DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `last_seen_at` timestamp NULL DEFAULT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `revoked_at` timestamp NULL DEFAULT NULL,
+  `revoked_reason` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `user_sessions_user` (`user_id`, `revoked_at`, `expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,28 @@
+-- NammaShow wallet: append-only ledger, balance = SUM(amount).
+-- Credits: topup, refund, promo. Debits: payment. `adjustment` may be either.
+CREATE TABLE IF NOT EXISTS `wallet_transactions` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `type` enum('topup','refund','promo','payment','adjustment') NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `balance_after` decimal(10,2) NOT NULL,
+  `reference_type` varchar(30) DEFAULT NULL COMMENT 'payment_transaction, admin',
+  `reference_id` bigint(20) UNSIGNED DEFAULT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `created_by` bigint(20) UNSIGNED DEFAULT NULL COMMENT 'Admin who granted a promo / refund credit',
+  `created_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `wallet_txn_reference_unique` (`user_id`, `type`, `reference_type`, `reference_id`),
+  KEY `wallet_txn_user_created` (`user_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Split of each payment between wallet and Razorpay (amount = wallet_amount + gateway_amount).
+-- Wallet-only payments have no Razorpay order.
+ALTER TABLE `payment_transactions`
+  MODIFY `razorpay_order_id` varchar(255) DEFAULT NULL,
+  ADD COLUMN `purpose` varchar(30) DEFAULT NULL COMMENT 'theater_booking, event_booking, wallet_topup' AFTER `booking_id`,
+  ADD COLUMN `wallet_amount` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `amount`,
+  ADD COLUMN `gateway_amount` decimal(10,2) DEFAULT NULL AFTER `wallet_amount`;
+
+INSERT IGNORE INTO `api_role_permissions` (`role`, `permission`, `created_at`) VALUES
+  ('admin', 'wallet.credit', NOW());
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const config = require('../config/config');
+const { findActiveKey, buildSignature, useNonce, touchKey } = require('../utils/apiKeys');
+const { canAccessTheater } = require('../utils/rbac');
+const { unauthorizedResponse, forbiddenResponse, errorCodeResponse, errorResponse } = require('../utils/responseHelper');
+
+// Fixed one-minute window per key, kept in memory
+const rateWindows = new Map();
+
+const consumeRateLimit = (keyId, limit) => {
+  const windowStart = Math.floor(Date.now() / 60000) * 60000;
+  const current = rateWindows.get(keyId);
+
+  if (!current || current.windowStart !== windowStart) {
+    rateWindows.set(keyId, { windowStart, count: 1 });
+    return { allowed: true };
+  }
+
+  if (current.count >= limit) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((windowStart + 60000 - Date.now()) / 1000) };
+  }
+
+  current.count += 1;
+  return { allowed: true };
+};
+
+const signatureMatches = (expected, received) => {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(received || ''), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Authenticate box-office, kiosk and aggregator clients: X-Api-Key names the key, and
+// X-Timestamp / X-Nonce / X-Signature prove the client holds its signing secret
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const keyId = req.headers['x-api-key'];
+
+    if (!keyId) {
+      return unauthorizedResponse(res, 'No API key provided');
+    }
+
+    const key = await findActiveKey(keyId);
+
+    if (!key) {
+      return unauthorizedResponse(res, 'Invalid or revoked API key');
+    }
+
+    const timestamp = parseInt(req.headers['x-timestamp']);
+    const drift = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+
+    if (!timestamp || drift > config.apiKeys.signatureToleranceSeconds) {
+      return unauthorizedResponse(res, 'Request timestamp missing or outside the allowed window');
+    }
+
+    const nonce = req.headers['x-nonce'];
+    const expected = buildSignature(key.signing_secret, timestamp, nonce || '', req.method, req.originalUrl, req.rawBody);
+    if (!signatureMatches(expected, req.headers['x-signature'])) {
+      return unauthorizedResponse(res, 'Invalid request signature');
+    }
+
+    // Checked after the signature so unsigned junk cannot fill the nonce table
+    if (!await useNonce(key.id, nonce)) {
+      return unauthorizedResponse(res, 'Request nonce missing or already used');
+    }
+
+    const rate = consumeRateLimit(key.id, key.rate_limit_per_minute);
+    if (!rate.allowed) {
+      res.set('Retry-After', String(rate.retryAfterSeconds));
+      return errorCodeResponse(res, 'API key rate limit exceeded', 429, 'API_RATE_LIMIT_EXCEEDED', {
+        retry_after_seconds: rate.retryAfterSeconds
+      });
+    }
+
+    await touchKey(key.id, req.ip);
+
+    // Requests run as the key's service profile so the booking handlers work unchanged
+    req.apiClient = {
+      id: key.id,
+      name: key.name,
+      client_type: key.client_type,
+      scopes: key.scopes
+    };
+    req.user = {
+      id: key.user_id,
+      api_key_id: key.id,
+      roles: [],
+      permissions: [],
+      theater_ids: key.theater_ids
+    };
+
+    next();
+  } catch (error) {
+    console.error('API Key Auth Error:', error);
+    return unauthorizedResponse(res, 'Authentication failed');
+  }
+};
+
+// Use after apiKeyAuth: router.post('/x', apiKeyAuth, requireApiScope('seats.lock'), handler)
+const requireApiScope = (...scopes) => (req, res, next) => {
+  if (!req.apiClient) {
+    return unauthorizedResponse(res, 'Authentication required');
+  }
+
+  if (!scopes.every(scope => req.apiClient.scopes.includes(scope))) {
+    return forbiddenResponse(res, 'API key is not allowed to call this endpoint');
+  }
+
+  next();
+};
+
+// Resolve the theatre from :theater_id or the schedule_id in params/body and check the key covers it
+const requireTheaterAccess = async (req, res, next) => {
+  try {
+    let theaterId = req.params.theater_id;
+    const scheduleId = req.params.schedule_id || req.body?.schedule_id;
+
+    if (!theaterId && scheduleId) {
+      const schedule = await db.queryOne(
+        `SELECT sm.theaters_id as theater_id
+         FROM schedule_managements schm
+         JOIN show_managements sm ON schm.movie_id = sm.id
+         WHERE schm.id = ?`,
+        [scheduleId]
+      );
+
+      if (!schedule) {
+        return errorResponse(res, 'Schedule not found', 404);
+      }
+
+      theaterId = schedule.theater_id;
+    }
+
+    if (!theaterId) {
+      return errorResponse(res, 'schedule_id or theater_id is required', 400);
+    }
+
+    if (!canAccessTheater(req.user, theaterId)) {
+      return forbiddenResponse(res, 'API key is not allowed to act on this theatre');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Theater Access Check Error:', error);
+    return errorResponse(res, 'Failed to verify theatre access', 500);
+  }
+};
+
+module.exports = {
+  apiKeyAuth,
+  requireApiScope,
+  requireTheaterAccess
+};
@@ -1,4 +1,5 @@
 const { verifyToken } = require('../utils/jwtHelper');
+const { isSessionActive, touchSession } = require('../utils/sessionService');
 const { unauthorizedResponse } = require('../utils/responseHelper');
 
 const authMiddleware = async (req, res, next) => {
@@ -19,6 +20,13 @@ const authMiddleware = async (req, res, next) => {
       return unauthorizedResponse(res, 'Invalid or expired token');
     }
 
+    // Tokens must belong to a session that has not been logged out / revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return unauthorizedResponse(res, 'Session expired. Please login again');
+    }
+
+    await touchSession(decoded.sid, req.ip);
+
     // Attach user to request
     req.user = decoded;
     
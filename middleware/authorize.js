@@ -0,0 +1,33 @@
+const { hasRole, hasPermission } = require('../utils/rbac');
+const { unauthorizedResponse, forbiddenResponse } = require('../utils/responseHelper');
+
+// Use after authMiddleware: router.get('/x', authMiddleware, requireRole('theatre_manager'), handler)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return unauthorizedResponse(res, 'Authentication required');
+  }
+
+  if (!hasRole(req.user, ...roles)) {
+    return forbiddenResponse(res, 'You do not have access to this resource');
+  }
+
+  next();
+};
+
+// Passes when the user holds every listed permission (admins always pass)
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return unauthorizedResponse(res, 'Authentication required');
+  }
+
+  if (!hasPermission(req.user, ...permissions)) {
+    return forbiddenResponse(res, 'You do not have permission to perform this action');
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
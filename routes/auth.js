@@ -1,15 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const accountController = require('../controllers/accountController');
 const authMiddleware = require('../middleware/authMiddleware');
 const upload = require('../middleware/upload');
 router.post('/send-otp', authController.sendOTP);
 router.post('/verify-otp', authController.verifyOTP);
 router.post('/google-signin', authController.googleSignIn);
+router.post('/google-link/confirm', authController.confirmGoogleLink);
+router.post('/refresh-token', authController.refreshToken);
+router.get('/verify-email', authController.verifyEmailLink);
 
 router.get('/get-profile', authMiddleware, authController.getProfile);
 router.post('/update-profile',authMiddleware, upload.single('profile_picture'), authController.updateProfile);
-router.post('/refresh-token', authMiddleware, authController.refreshToken);
 router.post('/complete-profile', authMiddleware, authController.completeProfile);
+router.post('/verify-email', authMiddleware, authController.verifyEmail);
+router.post('/resend-email-verification', authMiddleware, authController.resendEmailVerification);
+router.post('/logout', authMiddleware, authController.logout);
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions/:id', authMiddleware, authController.deleteSession);
+router.post('/delete-account', authMiddleware, accountController.deleteAccount);
+router.post('/delete-account/cancel', authMiddleware, accountController.cancelDeleteAccount);
+router.get('/export-data', authMiddleware, accountController.exportData);
+router.post('/change-phone/request', authMiddleware, accountController.requestPhoneChange);
+router.post('/change-phone/confirm', authMiddleware, accountController.confirmPhoneChange);
 
 module.exports = router;
\ No newline at end of file
@@ -5,6 +5,8 @@ const authMiddleware = require('../middleware/authMiddleware');
 
 // Public routes - No authentication required
 router.get('/schedules/:schedule_id/seats', bookingController.getSeatLayout);
+router.get('/schedules/:schedule_id/seats/recommend', bookingController.recommendSeats);
+router.get('/schedules/:schedule_id/seats/stream', bookingController.streamSeatStatus);
 router.get('/theaters/:theater_id/food-beverages', bookingController.getFoodBeverages);
 router.get('/coupons', bookingController.getCoupons);
 
@@ -16,6 +18,7 @@ router.get('/bookings/my-bookings', authMiddleware, bookingController.getMyBooki
 router.get('/bookings/:booking_id', authMiddleware, bookingController.getBookingDetails);
 router.post('/lock-seats', authMiddleware, bookingController.lockSeats);
 router.post('/unlock-seats', authMiddleware, bookingController.unlockSeats);
+router.post('/lock-seats/extend', authMiddleware, bookingController.extendSeatLocks);
 // TEST ROUTES - For Postman testing (Remove in production)
 router.post('/bookings/test-verify-success', authMiddleware, bookingController.testVerifySuccess);
 router.post('/bookings/test-verify-failure', authMiddleware, bookingController.testVerifyFailure);
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const cacheController = require('../controllers/cacheController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorize');
+
+// Admin - reference data cache
+router.get('/cache/stats', authMiddleware, requirePermission('cache.manage'), cacheController.getCacheStats);
+router.post('/cache/invalidate', authMiddleware, requirePermission('cache.manage'), cacheController.invalidateCache);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const loyaltyController = require('../controllers/loyaltyController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Protected routes - Authentication required
+router.get('/loyalty/history', authMiddleware, loyaltyController.getHistory);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+const { apiKeyAuth, requireApiScope, requireTheaterAccess } = require('../middleware/apiKeyAuth');
+const { API_SCOPES } = require('../utils/apiKeys');
+
+// All partner routes - API key authentication required
+router.use(apiKeyAuth);
+
+router.get('/schedules/:schedule_id/seats', requireApiScope(API_SCOPES.SEATS_READ), requireTheaterAccess, bookingController.getSeatLayout);
+router.get('/schedules/:schedule_id/seats/recommend', requireApiScope(API_SCOPES.SEATS_READ), requireTheaterAccess, bookingController.recommendSeats);
+router.get('/theaters/:theater_id/food-beverages', requireApiScope(API_SCOPES.SEATS_READ), requireTheaterAccess, bookingController.getFoodBeverages);
+router.post('/lock-seats', requireApiScope(API_SCOPES.SEATS_LOCK), requireTheaterAccess, bookingController.lockSeats);
+router.post('/unlock-seats', requireApiScope(API_SCOPES.SEATS_LOCK), requireTheaterAccess, bookingController.unlockSeats);
+router.post('/lock-seats/extend', requireApiScope(API_SCOPES.SEATS_LOCK), requireTheaterAccess, bookingController.extendSeatLocks);
+router.post('/bookings/calculate-price', requireApiScope(API_SCOPES.BOOKINGS_CREATE), requireTheaterAccess, bookingController.calculatePrice);
+router.post('/bookings/create-order', requireApiScope(API_SCOPES.BOOKINGS_CREATE), requireTheaterAccess, bookingController.createOrder);
+router.post('/bookings/verify-payment', requireApiScope(API_SCOPES.BOOKINGS_CREATE), bookingController.verifyPayment);
+router.get('/bookings/my-bookings', requireApiScope(API_SCOPES.BOOKINGS_READ), bookingController.getMyBookings);
+router.get('/bookings/:booking_id', requireApiScope(API_SCOPES.BOOKINGS_READ), bookingController.getBookingDetails);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const referralController = require('../controllers/referralController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Protected routes - Authentication required
+router.get('/referrals/me', authMiddleware, referralController.getMyReferrals);
+
+module.exports = router;
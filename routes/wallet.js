@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/walletController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorize');
+
+// Protected routes - Authentication required
+router.get('/wallet', authMiddleware, walletController.getWallet);
+router.post('/wallet/topup', authMiddleware, walletController.createTopup);
+router.post('/wallet/topup/verify', authMiddleware, walletController.verifyTopup);
+
+// Admin - promotional / refund credits
+router.post('/wallet/credit', authMiddleware, requirePermission('wallet.credit'), walletController.creditWallet);
+
+module.exports = router;
@@ -7,9 +7,18 @@ const db = require('./config/db');
 // Initialize Express App
 const app = express();
 
+if (config.trustProxy) {
+  app.set('trust proxy', config.trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+// Keep the raw body so partner request signatures can be verified
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -56,6 +65,16 @@ const eventRoutes = require('./routes/event');
 app.use(`${config.apiPrefix}`, eventRoutes);
 const eventBookingRoutes = require('./routes/eventBooking');
 app.use(`${config.apiPrefix}`, eventBookingRoutes);
+const loyaltyRoutes = require('./routes/loyalty');
+app.use(`${config.apiPrefix}`, loyaltyRoutes);
+const referralRoutes = require('./routes/referral');
+app.use(`${config.apiPrefix}`, referralRoutes);
+const walletRoutes = require('./routes/wallet');
+app.use(`${config.apiPrefix}`, walletRoutes);
+const cacheRoutes = require('./routes/cache');
+app.use(`${config.apiPrefix}`, cacheRoutes);
+const partnerRoutes = require('./routes/partner');
+app.use(`${config.apiPrefix}/partner`, partnerRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -94,6 +113,42 @@ const startServer = async () => {
         console.log('--- Running Background Task: Stale Bookings Cleanup ---');
         await cleanupPendingBookings();
       }, 5 * 60 * 1000); // 5 minutes in milliseconds
+
+      // 2. Anonymise accounts whose deletion grace period has ended (hourly)
+      const { processAccountDeletions } = require('./controllers/accountController');
+      setInterval(async () => {
+        console.log('--- Running Background Task: Account Deletions ---');
+        await processAccountDeletions();
+      }, 60 * 60 * 1000); // 1 hour in milliseconds
+
+      // 3. Expire old loyalty points and send "expiring soon" notices (daily)
+      const { processPointsExpiry } = require('./utils/loyaltyExpiry');
+      setInterval(async () => {
+        console.log('--- Running Background Task: Loyalty Points Expiry ---');
+        await processPointsExpiry();
+      }, 24 * 60 * 60 * 1000); // 24 hours in milliseconds
+
+      // 4. Sync theater_booking_seats with bookings changed in the admin since the last run (every 5 minutes)
+      const { syncChangedBookings } = require('./utils/bookedSeatService');
+      setInterval(async () => {
+        console.log('--- Running Background Task: Booked Seat Sync ---');
+        try {
+          await syncChangedBookings();
+        } catch (error) {
+          console.error('Booked seat sync failed:', error);
+        }
+      }, 5 * 60 * 1000); // 5 minutes in milliseconds
+
+      // 5. Drop API request nonces whose timestamp can no longer be replayed (hourly)
+      const { purgeExpiredNonces } = require('./utils/apiKeys');
+      setInterval(async () => {
+        console.log('--- Running Background Task: API Nonce Cleanup ---');
+        try {
+          await purgeExpiredNonces();
+        } catch (error) {
+          console.error('API nonce cleanup failed:', error);
+        }
+      }, 60 * 60 * 1000); // 1 hour in milliseconds
     });
   } catch (error) {
     console.error('Failed to start server:', error.message);
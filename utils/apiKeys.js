@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const config = require('../config/config');
+
+const API_SCOPES = {
+  SEATS_READ: 'seats.read',
+  SEATS_LOCK: 'seats.lock',
+  BOOKINGS_CREATE: 'bookings.create',
+  BOOKINGS_READ: 'bookings.read'
+};
+
+// X-Api-Key carries only the key id; the signing secret never leaves the client
+const KEY_ID_PATTERN = /^nsk_([a-z0-9]{12})$/;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// The server needs the signing secret itself to check HMACs, so it is stored encrypted
+// (AES-256-GCM) rather than hashed
+const encryptionKey = () => crypto.createHash('sha256').update(config.apiKeys.encryptionKey).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const parseJSONArray = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Create a key; the signing secret is returned once and only kept encrypted
+const createApiKey = async ({ name, clientType, userId, scopes, theaterIds, rateLimitPerMinute = 60 }) => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const keyId = `nsk_${prefix}`;
+  const signingSecret = crypto.randomBytes(32).toString('base64url');
+
+  const result = await db.query(
+    `INSERT INTO api_keys
+     (name, client_type, key_prefix, signing_secret, user_id, scopes, theater_ids, rate_limit_per_minute,
+      created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [
+      name,
+      clientType,
+      prefix,
+      encryptSecret(signingSecret),
+      userId,
+      JSON.stringify(scopes),
+      JSON.stringify(theaterIds.map(id => parseInt(id))),
+      rateLimitPerMinute
+    ]
+  );
+
+  return { id: result.insertId, keyId, signingSecret };
+};
+
+// Look up an active key by the key id sent in X-Api-Key
+const findActiveKey = async (keyId) => {
+  const match = KEY_ID_PATTERN.exec(keyId || '');
+  if (!match) {
+    return null;
+  }
+
+  const record = await db.queryOne(
+    `SELECT * FROM api_keys
+     WHERE key_prefix = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [match[1]]
+  );
+
+  if (!record) {
+    return null;
+  }
+
+  return {
+    ...record,
+    signing_secret: decryptSecret(record.signing_secret),
+    scopes: parseJSONArray(record.scopes),
+    theater_ids: parseJSONArray(record.theater_ids).map(id => parseInt(id))
+  };
+};
+
+// HMAC-SHA256 over "<timestamp>.<nonce>.<METHOD>.<path>.<sha256(body)>" keyed with the signing secret
+const buildSignature = (signingSecret, timestamp, nonce, method, path, rawBody) => {
+  const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  return crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${bodyHash}`)
+    .digest('hex');
+};
+
+// Record a request nonce; resolves to false when the key already used it (a replayed request)
+const useNonce = async (keyId, nonce) => {
+  if (!NONCE_PATTERN.test(nonce || '')) {
+    return false;
+  }
+
+  try {
+    await db.query(
+      'INSERT INTO api_key_nonces (api_key_id, nonce, created_at) VALUES (?, ?, NOW())',
+      [keyId, nonce]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Nonces only need keeping while their timestamp would still be accepted
+const purgeExpiredNonces = async () => {
+  const result = await db.query(
+    'DELETE FROM api_key_nonces WHERE created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)',
+    [config.apiKeys.signatureToleranceSeconds * 2]
+  );
+  return result.affectedRows;
+};
+
+const touchKey = async (keyId, ip) => {
+  try {
+    await db.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 60 SECOND))`,
+      [ip || null, keyId]
+    );
+  } catch (error) {
+    console.error('Touch API Key Error:', error.message);
+  }
+};
+
+module.exports = {
+  API_SCOPES,
+  createApiKey,
+  findActiveKey,
+  buildSignature,
+  useNonce,
+  purgeExpiredNonces,
+  touchKey
+};
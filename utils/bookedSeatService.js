@@ -0,0 +1,213 @@
+const db = require('../config/db');
+
+const BOOKED_SEAT_ERRORS = {
+  ALREADY_BOOKED: 'SEAT_ALREADY_BOOKED'
+};
+
+// Booking statuses that hold their seats (confirmed, completed)
+const ACTIVE_STATUSES = [1, 3];
+
+// How far before the stored watermark each sync run starts reading again
+const SYNC_OVERLAP_SECONDS = 60;
+
+const run = async (connection, sql, params) => {
+  if (connection) {
+    const [rows] = await connection.query(sql, params);
+    return rows;
+  }
+  return db.query(sql, params);
+};
+
+// Seat numbers from theater_bookings.seats_booked (Laravel counter bookings use `id`)
+const parseSeatNumbers = (seatsBooked) => {
+  let seats = seatsBooked;
+  if (typeof seats === 'string') {
+    try {
+      seats = JSON.parse(seats);
+    } catch (error) {
+      seats = [];
+    }
+  }
+  if (!Array.isArray(seats)) {
+    return [];
+  }
+
+  return [...new Set(
+    seats
+      .map(seat => (seat && typeof seat === 'object' ? seat.id || seat.seat_number : seat))
+      .filter(Boolean)
+      .map(String)
+  )];
+};
+
+// theater_bookings triggers keep this table current for admin counter bookings as well
+const getBookedSeats = async (scheduleId, connection = null) => {
+  const rows = await run(
+    connection,
+    'SELECT seat_number FROM theater_booking_seats WHERE schedule_id = ? AND active = 1',
+    [scheduleId]
+  );
+  return rows.map(row => row.seat_number);
+};
+
+// Release rows whose booking was cancelled or deleted outside the API (e.g. in the admin)
+const releaseInactive = async (connection, scheduleId, seatNumbers = null) => {
+  return run(
+    connection,
+    `UPDATE theater_booking_seats tbs
+     JOIN theater_bookings tb ON tb.id = tbs.booking_id
+     SET tbs.active = NULL, tbs.released_at = NOW()
+     WHERE tbs.schedule_id = ?
+     ${seatNumbers ? 'AND tbs.seat_number IN (?)' : ''}
+     AND tbs.active = 1
+     AND (tb.status NOT IN (?) OR tb.deleted_at IS NOT NULL)`,
+    seatNumbers ? [scheduleId, seatNumbers, ACTIVE_STATUSES] : [scheduleId, ACTIVE_STATUSES]
+  );
+};
+
+const insertSeats = async (connection, { bookingId, scheduleId, seatNumbers }) => {
+  try {
+    await connection.query(
+      `INSERT INTO theater_booking_seats (booking_id, schedule_id, seat_number, active, created_at)
+       VALUES ${seatNumbers.map(() => '(?, ?, ?, 1, NOW())').join(', ')}`,
+      seatNumbers.flatMap(seat => [bookingId, scheduleId, seat])
+    );
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+
+    const [taken] = await connection.query(
+      `SELECT seat_number FROM theater_booking_seats
+       WHERE schedule_id = ? AND seat_number IN (?) AND active = 1 AND booking_id != ?`,
+      [scheduleId, seatNumbers, bookingId]
+    );
+    const conflict = new Error('Seats already booked');
+    conflict.code = BOOKED_SEAT_ERRORS.ALREADY_BOOKED;
+    conflict.seats = taken.map(row => row.seat_number);
+    throw conflict;
+  }
+};
+
+// Bring one booking's theater_booking_seats rows in line with theater_bookings
+const syncBooking = async (connection, booking, activeSeats) => {
+  if (!ACTIVE_STATUSES.includes(Number(booking.status)) || booking.deleted_at) {
+    if (activeSeats.length === 0) {
+      return { claimed: 0, released: 0 };
+    }
+    const result = await releaseBookingSeats(booking.id, connection);
+    return { claimed: 0, released: result.affectedRows };
+  }
+
+  const seatNumbers = parseSeatNumbers(booking.seats_booked);
+  let released = 0;
+
+  // Seats moved off the booking in the admin
+  const moved = activeSeats.filter(seat => !seatNumbers.includes(seat));
+  if (moved.length > 0) {
+    const [result] = await connection.query(
+      `UPDATE theater_booking_seats SET active = NULL, released_at = NOW()
+       WHERE booking_id = ? AND active = 1 AND seat_number IN (?)`,
+      [booking.id, moved]
+    );
+    released = result.affectedRows;
+  }
+
+  const missing = seatNumbers.filter(seat => !activeSeats.includes(seat));
+  if (missing.length === 0) {
+    return { claimed: 0, released };
+  }
+
+  try {
+    await insertSeats(connection, { bookingId: booking.id, scheduleId: booking.schedule_id, seatNumbers: missing });
+  } catch (error) {
+    if (error.code !== BOOKED_SEAT_ERRORS.ALREADY_BOOKED) {
+      throw error;
+    }
+    console.error(`❌ Booking ${booking.id} has seats held by another booking: ${error.seats.join(', ')}`);
+    return { claimed: 0, released };
+  }
+
+  return { claimed: missing.length, released };
+};
+
+// Claim a booking's seats inside the caller's transaction. The unique key rejects a seat that
+// another active booking already holds; the error lists those seats in `seats`.
+const claimSeats = async (connection, { bookingId, scheduleId, seats }) => {
+  const seatNumbers = parseSeatNumbers(seats);
+  if (seatNumbers.length === 0) {
+    return [];
+  }
+
+  await releaseInactive(connection, scheduleId, seatNumbers);
+  await insertSeats(connection, { bookingId, scheduleId, seatNumbers });
+
+  return seatNumbers;
+};
+
+const releaseBookingSeats = async (bookingId, connection = null) => {
+  return run(
+    connection,
+    `UPDATE theater_booking_seats SET active = NULL, released_at = NOW()
+     WHERE booking_id = ? AND active = 1`,
+    [bookingId]
+  );
+};
+
+// Safety net for the theater_bookings triggers: re-check bookings changed since the stored
+// watermark and log counter bookings whose seats another booking holds. Re-reads a short
+// overlap for rows committed late with an earlier updated_at.
+const syncChangedBookings = async () => {
+  const state = await db.queryOne('SELECT synced_until FROM booked_seat_sync_state WHERE id = 1');
+
+  const bookings = await db.query(
+    `SELECT id, schedule_id, status, deleted_at, seats_booked, updated_at FROM theater_bookings
+     WHERE updated_at >= ?
+     ORDER BY updated_at ASC, id ASC`,
+    [state
+      ? new Date(new Date(state.synced_until).getTime() - SYNC_OVERLAP_SECONDS * 1000)
+      : new Date(0)]
+  );
+
+  let claimed = 0;
+  let released = 0;
+
+  for (const booking of bookings) {
+    const connection = await db.beginTransaction();
+    try {
+      const [rows] = await connection.query(
+        'SELECT seat_number FROM theater_booking_seats WHERE booking_id = ? AND active = 1',
+        [booking.id]
+      );
+      const result = await syncBooking(connection, booking, rows.map(row => row.seat_number));
+      await connection.commit();
+      connection.release();
+      claimed += result.claimed;
+      released += result.released;
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      throw error;
+    }
+
+    // Advance per booking, so a failure part-way resumes from the last booking synced
+    await db.query(
+      `INSERT INTO booked_seat_sync_state (id, synced_until, updated_at) VALUES (1, ?, NOW())
+       ON DUPLICATE KEY UPDATE synced_until = GREATEST(synced_until, VALUES(synced_until)), updated_at = NOW()`,
+      [booking.updated_at]
+    );
+  }
+
+  return { claimed, released };
+};
+
+module.exports = {
+  BOOKED_SEAT_ERRORS,
+  ACTIVE_STATUSES,
+  parseSeatNumbers,
+  getBookedSeats,
+  releaseInactive,
+  claimSeats,
+  releaseBookingSeats,
+  syncChangedBookings
+};
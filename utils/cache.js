@@ -0,0 +1,107 @@
+const NodeCache = require('node-cache');
+const config = require('../config/config');
+
+// In-process cache for reference data the admin rarely changes. Each API instance has its own
+// copy, so TTLs bound how stale it can get; the admin calls POST /cache/invalidate after edits.
+
+const NAMESPACES = {
+  CATEGORIES: 'categories',
+  LANGUAGES: 'languages',
+  TRANSLATIONS: 'translations',
+  THEATERS: 'theaters',
+  MEDIA: 'media'
+};
+
+const store = new NodeCache({ stdTTL: config.cache.defaultTtl, checkperiod: 120 });
+
+// namespace -> { hits, misses }
+const counters = {};
+Object.values(NAMESPACES).forEach(namespace => {
+  counters[namespace] = { hits: 0, misses: 0 };
+});
+
+// Loads already running, so concurrent misses for one key hit the database once
+const pending = new Map();
+
+const cacheKey = (namespace, key) => `${namespace}:${key}`;
+
+const ttlFor = (namespace) => config.cache.ttl[namespace] || config.cache.defaultTtl;
+
+// Return the cached value, or run the loader and cache what it returns (null included).
+// Loader errors are not cached.
+const remember = async (namespace, key, loader) => {
+  const fullKey = cacheKey(namespace, key);
+  const cached = store.get(fullKey);
+  if (cached !== undefined) {
+    counters[namespace].hits++;
+    return cached;
+  }
+
+  counters[namespace].misses++;
+  if (pending.has(fullKey)) {
+    return pending.get(fullKey);
+  }
+
+  const load = (async () => {
+    try {
+      const value = await loader();
+      const stored = value === undefined ? null : value;
+      store.set(fullKey, stored, ttlFor(namespace));
+      return stored;
+    } finally {
+      pending.delete(fullKey);
+    }
+  })();
+  pending.set(fullKey, load);
+  return load;
+};
+
+// Drop one key, or the whole namespace when no key is given; returns how many entries went
+const invalidate = (namespace, key = null) => {
+  if (key !== null && key !== undefined) {
+    return store.del(cacheKey(namespace, key));
+  }
+  const prefix = `${namespace}:`;
+  return store.del(store.keys().filter(fullKey => fullKey.startsWith(prefix)));
+};
+
+const flush = () => {
+  const count = store.keys().length;
+  store.flushAll();
+  return count;
+};
+
+const getStats = () => {
+  const keys = store.keys();
+  const namespaces = {};
+
+  Object.entries(counters).forEach(([namespace, { hits, misses }]) => {
+    const total = hits + misses;
+    namespaces[namespace] = {
+      keys: keys.filter(fullKey => fullKey.startsWith(`${namespace}:`)).length,
+      ttl_seconds: ttlFor(namespace),
+      hits,
+      misses,
+      hit_rate: total > 0 ? Math.round((hits / total) * 10000) / 100 : 0
+    };
+  });
+
+  const { ksize, vsize } = store.getStats();
+  return { namespaces, total_keys: keys.length, key_bytes: ksize, value_bytes: vsize };
+};
+
+const resetStats = () => {
+  Object.values(counters).forEach(counter => {
+    counter.hits = 0;
+    counter.misses = 0;
+  });
+};
+
+module.exports = {
+  NAMESPACES,
+  remember,
+  invalidate,
+  flush,
+  getStats,
+  resetStats
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const config = require('../config/config');
+const mailProvider = require('./mailProvider');
+const { generateOTP } = require('./otpGenerator');
+const { hashToken } = require('./tokenService');
+
+// Error codes returned to the mobile app
+const EMAIL_ERRORS = {
+  IN_USE: 'EMAIL_IN_USE',
+  COOLDOWN: 'EMAIL_VERIFICATION_COOLDOWN',
+  INVALID: 'EMAIL_VERIFICATION_INVALID',
+  EXPIRED: 'EMAIL_VERIFICATION_EXPIRED',
+  TOO_MANY_ATTEMPTS: 'EMAIL_VERIFICATION_TOO_MANY_ATTEMPTS',
+  DELIVERY_FAILED: 'EMAIL_DELIVERY_FAILED'
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+const isValidEmail = (email) => EMAIL_REGEX.test(normaliseEmail(email));
+
+// Receipts and booking notifications may only use a verified address
+const getReceiptEmail = (user) => {
+  return user && user.email_address && user.email_verified_at ? user.email_address : '';
+};
+
+const isEmailTaken = async (email, userId) => {
+  const existing = await db.queryOne(
+    'SELECT id FROM users_profiles WHERE email_address = ? AND id != ? AND email_verified_at IS NOT NULL',
+    [email, userId]
+  );
+  return !!existing;
+};
+
+const getPendingVerification = async (userId) => {
+  return await db.queryOne(
+    `SELECT id, email, attempts, expires_at > NOW() as is_active,
+            TIMESTAMPDIFF(SECOND, created_at, NOW()) as age_seconds, code_hash
+     FROM email_verifications
+     WHERE user_id = ? AND verified_at IS NULL AND superseded_at IS NULL
+     ORDER BY id DESC LIMIT 1`,
+    [userId]
+  );
+};
+
+const buildVerificationMail = (email, code, token, fullName) => {
+  const link = `${config.appUrl}${config.apiPrefix}/auth/verify-email?token=${encodeURIComponent(token)}`;
+  const greeting = fullName ? `Hi ${fullName},` : 'Hi,';
+  const text = [
+    greeting,
+    '',
+    `Please confirm ${email} for your NammaShow account.`,
+    '',
+    `Your verification code is ${code}`,
+    `Or open this link: ${link}`,
+    '',
+    `The code and link expire in ${config.emailVerification.expireHours} hours. If you did not request this, you can ignore this email.`
+  ].join('\n');
+  const safeLink = mailProvider.escapeHtml(link);
+
+  return {
+    to: email,
+    subject: 'Verify your email address - NammaShow',
+    text,
+    html: mailProvider.textToHtml(text).replace(safeLink, `<a href="${safeLink}">${safeLink}</a>`)
+  };
+};
+
+// Start verifying a new address. The current address stays active until this one is confirmed.
+const startVerification = async (userId, email, { fullName = null } = {}) => {
+  const address = normaliseEmail(email);
+
+  if (await isEmailTaken(address, userId)) {
+    return { ok: false, status: 409, code: EMAIL_ERRORS.IN_USE, message: 'Email address is already in use' };
+  }
+
+  const pending = await getPendingVerification(userId);
+  if (pending && parseInt(pending.age_seconds) < config.emailVerification.resendCooldownSeconds) {
+    return {
+      ok: false,
+      status: 429,
+      code: EMAIL_ERRORS.COOLDOWN,
+      message: 'Please wait before requesting another verification email',
+      retryAfterSeconds: config.emailVerification.resendCooldownSeconds - parseInt(pending.age_seconds)
+    };
+  }
+
+  await db.query(
+    `UPDATE email_verifications SET superseded_at = NOW()
+     WHERE user_id = ? AND verified_at IS NULL AND superseded_at IS NULL`,
+    [userId]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const code = generateOTP(6);
+
+  await db.query(
+    `INSERT INTO email_verifications (user_id, email, token_hash, code_hash, expires_at, created_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+    [userId, address, hashToken(token), hashToken(code), config.emailVerification.expireHours]
+  );
+
+  try {
+    await mailProvider.sendMail(buildVerificationMail(address, code, token, fullName));
+  } catch (error) {
+    console.error('Verification Mail Error:', error.message);
+    return {
+      ok: false,
+      status: 502,
+      code: EMAIL_ERRORS.DELIVERY_FAILED,
+      message: 'Unable to send verification email. Please try again',
+      pendingEmail: address
+    };
+  }
+
+  return {
+    ok: true,
+    pendingEmail: address,
+    expiresInHours: config.emailVerification.expireHours,
+    retryAfterSeconds: config.emailVerification.resendCooldownSeconds
+  };
+};
+
+// Swap the verified address onto the profile
+const applyVerification = async (verification) => {
+  if (await isEmailTaken(verification.email, verification.user_id)) {
+    await db.query('UPDATE email_verifications SET superseded_at = NOW() WHERE id = ?', [verification.id]);
+    return { ok: false, status: 409, code: EMAIL_ERRORS.IN_USE, message: 'Email address is already in use' };
+  }
+
+  await db.query(
+    'UPDATE users_profiles SET email_address = ?, email_verified_at = NOW(), updated_at = NOW() WHERE id = ?',
+    [verification.email, verification.user_id]
+  );
+
+  await db.query('UPDATE email_verifications SET verified_at = NOW() WHERE id = ?', [verification.id]);
+
+  return { ok: true, userId: verification.user_id, email: verification.email };
+};
+
+// In-app verification with the emailed code
+const verifyCode = async (userId, code) => {
+  const pending = await getPendingVerification(userId);
+
+  if (!pending) {
+    return { ok: false, status: 400, code: EMAIL_ERRORS.INVALID, message: 'No pending email verification' };
+  }
+
+  if (!pending.is_active) {
+    return { ok: false, status: 400, code: EMAIL_ERRORS.EXPIRED, message: 'Verification code has expired. Please request a new one' };
+  }
+
+  // Take the attempt before comparing, so parallel requests cannot test more than maxAttempts codes
+  const reserved = await db.query(
+    'UPDATE email_verifications SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+    [pending.id, config.emailVerification.maxAttempts]
+  );
+  if (reserved.affectedRows !== 1) {
+    return {
+      ok: false,
+      status: 429,
+      code: EMAIL_ERRORS.TOO_MANY_ATTEMPTS,
+      message: 'Too many incorrect codes. Please request a new verification email'
+    };
+  }
+
+  if (hashToken(code) !== pending.code_hash) {
+    const current = await db.queryOne('SELECT attempts FROM email_verifications WHERE id = ?', [pending.id]);
+    return {
+      ok: false,
+      status: 400,
+      code: EMAIL_ERRORS.INVALID,
+      message: 'Invalid verification code',
+      attemptsRemaining: Math.max(0, config.emailVerification.maxAttempts - (parseInt(current?.attempts) || 0))
+    };
+  }
+
+  return await applyVerification({ id: pending.id, user_id: userId, email: pending.email });
+};
+
+// Verification through the emailed link
+const verifyToken = async (token) => {
+  const verification = await db.queryOne(
+    `SELECT id, user_id, email, expires_at > NOW() as is_active
+     FROM email_verifications
+     WHERE token_hash = ? AND verified_at IS NULL AND superseded_at IS NULL`,
+    [hashToken(token)]
+  );
+
+  if (!verification) {
+    return { ok: false, status: 400, code: EMAIL_ERRORS.INVALID, message: 'Verification link is invalid or has already been used' };
+  }
+
+  if (!verification.is_active) {
+    return { ok: false, status: 400, code: EMAIL_ERRORS.EXPIRED, message: 'Verification link has expired. Please request a new one' };
+  }
+
+  return await applyVerification(verification);
+};
+
+module.exports = {
+  EMAIL_ERRORS,
+  normaliseEmail,
+  isValidEmail,
+  getReceiptEmail,
+  getPendingVerification,
+  startVerification,
+  verifyCode,
+  verifyToken
+};
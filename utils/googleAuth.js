@@ -0,0 +1,34 @@
+const { OAuth2Client } = require('google-auth-library');
+const config = require('../config/config');
+
+const client = new OAuth2Client();
+
+/**
+ * Verify a Google ID token issued to one of our OAuth client IDs
+ * @param {string} idToken - ID token from the Google Sign-In SDK
+ * @returns {Promise<Object>} Verified identity { google_id, email, email_verified, name, picture }
+ */
+const verifyIdToken = async (idToken) => {
+  if (config.google.clientIds.length === 0) {
+    throw new Error('Google sign-in is not configured (GOOGLE_CLIENT_ID)');
+  }
+
+  const ticket = await client.verifyIdToken({
+    idToken,
+    audience: config.google.clientIds
+  });
+
+  const payload = ticket.getPayload();
+
+  return {
+    google_id: payload.sub,
+    email: payload.email ? payload.email.toLowerCase() : null,
+    email_verified: payload.email_verified === true,
+    name: payload.name || '',
+    picture: payload.picture || null
+  };
+};
+
+module.exports = {
+  verifyIdToken
+};
@@ -0,0 +1,206 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const loyaltyLedger = require('./loyaltyLedger');
+const mailProvider = require('./mailProvider');
+const { getReceiptEmail } = require('./emailVerification');
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+// Credits that still hold points after all debits are consumed first-in-first-out.
+// Each lot expires `expiryMonths` after it was earned.
+const getOpenLots = async (userId, connection = null) => {
+  const creditsSql = `SELECT id, points, created_at, DATE_ADD(created_at, INTERVAL ? MONTH) as expires_at
+     FROM loyalty_point_transactions
+     WHERE user_id = ? AND points > 0
+     ORDER BY created_at ASC, id ASC`;
+  const debitsSql = `SELECT COALESCE(-SUM(points), 0) as total
+     FROM loyalty_point_transactions
+     WHERE user_id = ? AND points < 0`;
+  const creditsParams = [config.loyalty.expiryMonths, userId];
+
+  let credits;
+  let debits;
+  if (connection) {
+    [credits] = await connection.query(creditsSql, creditsParams);
+    const [debitRows] = await connection.query(debitsSql, [userId]);
+    debits = debitRows[0];
+  } else {
+    credits = await db.query(creditsSql, creditsParams);
+    debits = await db.queryOne(debitsSql, [userId]);
+  }
+
+  let unconsumedDebits = parseFloat(debits.total);
+  const lots = [];
+
+  for (const credit of credits) {
+    const points = parseFloat(credit.points);
+    const consumed = Math.min(unconsumedDebits, points);
+    unconsumedDebits = loyaltyLedger.roundPoints(unconsumedDebits - consumed);
+
+    const remaining = loyaltyLedger.roundPoints(points - consumed);
+    if (remaining > 0) {
+      lots.push({ id: credit.id, remaining, earned_at: credit.created_at, expires_at: credit.expires_at });
+    }
+  }
+
+  return lots;
+};
+
+// Points that expire on the soonest upcoming expiry date
+const getNextExpiry = async (userId) => {
+  const lots = await getOpenLots(userId);
+  const upcoming = lots.filter(lot => new Date(lot.expires_at) > new Date());
+
+  if (upcoming.length === 0) {
+    return { points: 0, expires_on: null };
+  }
+
+  const nextDate = formatDate(upcoming[0].expires_at);
+  const points = upcoming
+    .filter(lot => formatDate(lot.expires_at) === nextDate)
+    .reduce((sum, lot) => sum + lot.remaining, 0);
+
+  return { points: loyaltyLedger.roundPoints(points), expires_on: nextDate };
+};
+
+// Record an expiry entry for every lot past its expiry date
+const expireUserPoints = async (userId) => {
+  const connection = await db.beginTransaction();
+  try {
+    await connection.query('SELECT id FROM users_profiles WHERE id = ? FOR UPDATE', [userId]);
+
+    const lots = await getOpenLots(userId, connection);
+    // Never expire more than the user holds (e.g. after a manual adjustment)
+    let balance = await loyaltyLedger.getBalance(userId, connection);
+    let expired = 0;
+
+    for (const lot of lots) {
+      if (new Date(lot.expires_at) > new Date() || balance <= 0) {
+        break;
+      }
+
+      const points = loyaltyLedger.roundPoints(Math.min(lot.remaining, balance));
+      const entry = await loyaltyLedger.recordEntry(connection, {
+        userId: userId,
+        type: loyaltyLedger.LEDGER_TYPES.EXPIRY,
+        points: -points,
+        referenceType: 'loyalty_credit',
+        referenceId: lot.id,
+        description: `Points earned on ${formatDate(lot.earned_at)} expired`
+      });
+      if (entry) {
+        expired += points;
+        balance = entry.balance_after;
+      }
+    }
+
+    await connection.commit();
+    connection.release();
+    return loyaltyLedger.roundPoints(expired);
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+};
+
+const buildExpiryNoticeMail = (email, fullName, points, expiresOn) => {
+  const text = [
+    fullName ? `Hi ${fullName},` : 'Hi,',
+    '',
+    `${points} of your NammaShow loyalty points expire on ${expiresOn}.`,
+    'Use them on your next movie or event booking before they are gone.'
+  ].join('\n');
+
+  return {
+    to: email,
+    subject: 'Your loyalty points are expiring soon - NammaShow',
+    text,
+    html: mailProvider.textToHtml(text)
+  };
+};
+
+// Warn once per expiry date when points expire within `expiryNoticeDays`
+const sendExpiryNotice = async (user) => {
+  const next = await getNextExpiry(user.id);
+  if (!next.expires_on) {
+    return false;
+  }
+
+  const daysLeft = (new Date(next.expires_on) - new Date()) / (24 * 60 * 60 * 1000);
+  if (daysLeft > config.loyalty.expiryNoticeDays) {
+    return false;
+  }
+
+  const email = getReceiptEmail(user);
+  const result = await db.query(
+    `INSERT IGNORE INTO loyalty_expiry_notices (user_id, expires_on, points, channel, created_at)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [user.id, next.expires_on, next.points, email ? 'email' : 'none']
+  );
+
+  if (result.affectedRows === 0 || !email) {
+    return false;
+  }
+
+  try {
+    await mailProvider.sendMail(buildExpiryNoticeMail(email, user.full_name, next.points, next.expires_on));
+  } catch (error) {
+    // Let the next run retry
+    await db.query('DELETE FROM loyalty_expiry_notices WHERE user_id = ? AND expires_on = ?', [user.id, next.expires_on]);
+    throw error;
+  }
+  return true;
+};
+
+// Background task: expire old points and send "expiring soon" notices
+const processPointsExpiry = async () => {
+  try {
+    const dueUsers = await db.query(
+      `SELECT DISTINCT user_id FROM loyalty_point_transactions
+       WHERE points > 0 AND created_at <= DATE_SUB(NOW(), INTERVAL ? MONTH)`,
+      [config.loyalty.expiryMonths]
+    );
+
+    let expiredUsers = 0;
+    for (const row of dueUsers) {
+      if (await expireUserPoints(row.user_id) > 0) {
+        expiredUsers++;
+      }
+    }
+
+    const noticeUsers = await db.query(
+      `SELECT DISTINCT up.id, up.full_name, up.email_address, up.email_verified_at
+       FROM loyalty_point_transactions lpt
+       JOIN users_profiles up ON up.id = lpt.user_id
+       WHERE lpt.points > 0
+       AND lpt.created_at <= DATE_SUB(DATE_ADD(NOW(), INTERVAL ? DAY), INTERVAL ? MONTH)
+       AND lpt.created_at > DATE_SUB(NOW(), INTERVAL ? MONTH)`,
+      [config.loyalty.expiryNoticeDays, config.loyalty.expiryMonths, config.loyalty.expiryMonths]
+    );
+
+    let notices = 0;
+    for (const user of noticeUsers) {
+      try {
+        if (await sendExpiryNotice(user)) {
+          notices++;
+        }
+      } catch (error) {
+        console.error(`Expiry notice failed for user ${user.id}:`, error.message);
+      }
+    }
+
+    if (expiredUsers > 0 || notices > 0) {
+      console.log(`✅ Expired points for ${expiredUsers} user(s), sent ${notices} expiry notice(s)`);
+    }
+  } catch (error) {
+    console.error('Points Expiry Error:', error);
+  }
+};
+
+module.exports = {
+  getOpenLots,
+  getNextExpiry,
+  expireUserPoints,
+  processPointsExpiry
+};
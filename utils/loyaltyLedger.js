@@ -0,0 +1,131 @@
+const db = require('../config/db');
+
+const LEDGER_TYPES = {
+  EARN: 'earn',
+  REDEEM: 'redeem',
+  REFERRAL: 'referral',
+  EXPIRY: 'expiry',
+  ADJUSTMENT: 'adjustment'
+};
+
+const LEDGER_ERRORS = {
+  INSUFFICIENT_POINTS: 'LOYALTY_INSUFFICIENT_POINTS'
+};
+
+const roundPoints = (points) => Math.round((parseFloat(points) || 0) * 100) / 100;
+
+// Balance derived from the ledger; pass a transaction connection to read inside it
+const getBalance = async (userId, connection = null) => {
+  const sql = 'SELECT COALESCE(SUM(points), 0) as balance FROM loyalty_point_transactions WHERE user_id = ?';
+
+  if (connection) {
+    const [rows] = await connection.query(sql, [userId]);
+    return roundPoints(rows[0].balance);
+  }
+
+  const row = await db.queryOne(sql, [userId]);
+  return roundPoints(row.balance);
+};
+
+// Append an entry inside the caller's transaction. Debits never take the balance below zero.
+// Returns null if the same (type, reference) was already recorded, so retries never double-credit.
+const recordEntry = async (connection, { userId, type, points, referenceType = null, referenceId = null, description = null, spendAmount = null }) => {
+  const amount = roundPoints(points);
+  if (!amount) {
+    return null;
+  }
+
+  // Serialise ledger writes per user
+  await connection.query('SELECT id FROM users_profiles WHERE id = ? FOR UPDATE', [userId]);
+
+  if (referenceType && referenceId) {
+    const [existing] = await connection.query(
+      `SELECT id FROM loyalty_point_transactions
+       WHERE user_id = ? AND type = ? AND reference_type = ? AND reference_id = ?`,
+      [userId, type, referenceType, referenceId]
+    );
+    if (existing.length > 0) {
+      return null;
+    }
+  }
+
+  const balanceAfter = roundPoints((await getBalance(userId, connection)) + amount);
+  if (balanceAfter < 0) {
+    const error = new Error('Insufficient loyalty points');
+    error.code = LEDGER_ERRORS.INSUFFICIENT_POINTS;
+    throw error;
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO loyalty_point_transactions
+     (user_id, type, points, balance_after, spend_amount, reference_type, reference_id, description, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [userId, type, amount, balanceAfter, spendAmount, referenceType, referenceId, description]
+  );
+
+  await connection.query(
+    'UPDATE users_profiles SET loyality_points = ? WHERE id = ?',
+    [balanceAfter, userId]
+  );
+
+  return { id: result.insertId, points: amount, balance_after: balanceAfter };
+};
+
+// Same as recordEntry but in its own transaction
+const addEntry = async (entry) => {
+  const connection = await db.beginTransaction();
+  try {
+    const result = await recordEntry(connection, entry);
+    await connection.commit();
+    connection.release();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+};
+
+const getHistory = async (userId, { page = 1, limit = 20, type = null } = {}) => {
+  let whereClause = 'WHERE user_id = ?';
+  const params = [userId];
+
+  if (type) {
+    whereClause += ' AND type = ?';
+    params.push(type);
+  }
+
+  const countResult = await db.queryOne(
+    `SELECT COUNT(*) as total FROM loyalty_point_transactions ${whereClause}`,
+    params
+  );
+
+  const offset = (page - 1) * limit;
+  const rows = await db.query(
+    `SELECT id, type, points, balance_after, reference_type, reference_id, description, created_at
+     FROM loyalty_point_transactions
+     ${whereClause}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    transactions: rows.map(row => ({
+      ...row,
+      points: parseFloat(row.points),
+      balance_after: parseFloat(row.balance_after)
+    })),
+    total: countResult.total
+  };
+};
+
+module.exports = {
+  LEDGER_TYPES,
+  LEDGER_ERRORS,
+  roundPoints,
+  getBalance,
+  recordEntry,
+  addEntry,
+  getHistory
+};
@@ -0,0 +1,145 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const loyaltyLedger = require('./loyaltyLedger');
+
+const roundMoney = (amount) => Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+// Tiers sorted by threshold, lowest first
+const getTiers = () => [...config.loyalty.tiers].sort((a, b) => a.minSpend - b.minSpend);
+
+// Ticket + food spend paid with money - excludes GST, platform fee and discounts
+const getEligibleSpend = ({ ticketPrice = 0, foodPrice = 0, couponDiscount = 0, pointsDiscount = 0 }) => {
+  const spend = parseFloat(ticketPrice || 0) + parseFloat(foodPrice || 0)
+    - parseFloat(couponDiscount || 0) - parseFloat(pointsDiscount || 0);
+  return roundMoney(Math.max(spend, 0));
+};
+
+// Rounded down to 2 decimals so small orders still count towards the tier
+const calculateEarnPoints = (eligibleSpend, earnPercent) => {
+  return Math.floor(eligibleSpend * earnPercent) / 100;
+};
+
+const getRollingSpend = async (userId) => {
+  const row = await db.queryOne(
+    `SELECT COALESCE(SUM(spend_amount), 0) as spend
+     FROM loyalty_point_transactions
+     WHERE user_id = ? AND type = 'earn' AND created_at >= DATE_SUB(NOW(), INTERVAL ? MONTH)`,
+    [userId, config.loyalty.tierWindowMonths]
+  );
+  return roundMoney(row.spend);
+};
+
+// Current tier plus progress towards the next one
+const getMembership = async (userId) => {
+  const spend = await getRollingSpend(userId);
+  const tiers = getTiers();
+
+  let index = 0;
+  tiers.forEach((tier, i) => {
+    if (spend >= tier.minSpend) index = i;
+  });
+
+  const tier = tiers[index];
+  const nextTier = tiers[index + 1] || null;
+  const progress = nextTier
+    ? Math.min(100, Math.round(((spend - tier.minSpend) / (nextTier.minSpend - tier.minSpend)) * 100))
+    : 100;
+
+  return {
+    tier: tier.name,
+    earn_percent: tier.earnPercent,
+    rolling_spend: spend,
+    window_months: config.loyalty.tierWindowMonths,
+    next_tier: nextTier ? nextTier.name : null,
+    next_tier_earn_percent: nextTier ? nextTier.earnPercent : null,
+    spend_to_next_tier: nextTier ? roundMoney(nextTier.minSpend - spend) : 0,
+    progress_percent: progress
+  };
+};
+
+// Apply the redemption rules to an order. `cap_reason` / `message` explain why fewer
+// points than the balance were used.
+const calculateRedemption = ({ balance, subtotal, platformFee = 0, couponDiscount = 0 }) => {
+  const rules = config.loyalty.redemption;
+  const redeemableBase = Math.max(subtotal - couponDiscount - (rules.excludePlatformFee ? platformFee : 0), 0);
+  const maxDiscount = roundMoney((redeemableBase * rules.maxOrderPercent) / 100);
+  const balanceValue = roundMoney(balance * rules.pointValue);
+
+  const result = {
+    points_used: 0,
+    discount: 0,
+    point_value: rules.pointValue,
+    max_discount: maxDiscount,
+    max_order_percent: rules.maxOrderPercent,
+    min_balance: rules.minBalance,
+    platform_fee_excluded: rules.excludePlatformFee,
+    cap_reason: null,
+    message: null
+  };
+
+  if (balance <= 0) {
+    return result;
+  }
+
+  if (balance < rules.minBalance) {
+    result.cap_reason = 'min_balance';
+    result.message = `A balance of at least ${rules.minBalance} points is needed to redeem`;
+    return result;
+  }
+
+  let discount = balanceValue;
+  if (balanceValue > maxDiscount) {
+    discount = maxDiscount;
+    result.cap_reason = 'max_order_percent';
+    result.message = `Points can pay for up to ${rules.maxOrderPercent}% of the order`
+      + (rules.excludePlatformFee ? ' (excluding the platform fee)' : '');
+  }
+
+  result.points_used = loyaltyLedger.roundPoints(discount / rules.pointValue);
+  result.discount = roundMoney(discount);
+  return result;
+};
+
+// Points an order would earn at the user's current tier (shown by calculatePrice)
+const estimateEarn = async (userId, pricing) => {
+  const membership = await getMembership(userId);
+  const eligibleSpend = getEligibleSpend(pricing);
+
+  return {
+    tier: membership.tier,
+    earn_percent: membership.earn_percent,
+    eligible_spend: eligibleSpend,
+    points_to_earn: calculateEarnPoints(eligibleSpend, membership.earn_percent)
+  };
+};
+
+// Credit points for a confirmed booking inside verifyPayment's transaction
+const awardBookingPoints = async (connection, { userId, pricing, referenceType, referenceId, bookingNumber }) => {
+  const { earn_percent: earnPercent } = await getMembership(userId);
+  const eligibleSpend = getEligibleSpend(pricing);
+  const points = calculateEarnPoints(eligibleSpend, earnPercent);
+
+  if (points <= 0) {
+    return null;
+  }
+
+  return await loyaltyLedger.recordEntry(connection, {
+    userId: userId,
+    type: loyaltyLedger.LEDGER_TYPES.EARN,
+    points: points,
+    spendAmount: eligibleSpend,
+    referenceType: referenceType,
+    referenceId: referenceId,
+    description: `Earned on booking ${bookingNumber}`
+  });
+};
+
+module.exports = {
+  getEligibleSpend,
+  calculateRedemption,
+  calculateEarnPoints,
+  getRollingSpend,
+  getMembership,
+  estimateEarn,
+  awardBookingPoints
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+
+// Every transport exposes the same shape:
+//   { name, send: async ({ to, subject, text, html }) => void }
+// send must throw when the message could not be handed over.
+
+// Local development / testing transport - logs the mail and appends it to a file
+const consoleTransport = {
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    const entry = `[${new Date().toISOString()}] To: ${to}\nSubject: ${subject}\n${text}\n`;
+    console.log(`✉️ Mail (console transport):\n${entry}`);
+
+    if (config.mail.console.logFile) {
+      const logFile = path.resolve(config.mail.console.logFile);
+      await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.promises.appendFile(logFile, entry + '\n');
+    }
+  }
+};
+
+let smtpClient = null;
+
+const smtpTransport = {
+  name: 'smtp',
+  send: async ({ to, subject, text, html }) => {
+    const { host, port, secure, user, pass } = config.mail.smtp;
+
+    if (!host) {
+      throw new Error('SMTP is not configured (SMTP_HOST)');
+    }
+
+    if (!smtpClient) {
+      smtpClient = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+
+    await smtpClient.sendMail({
+      from: config.mail.from,
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+};
+
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [smtpTransport.name]: smtpTransport
+};
+
+// Register an additional transport (e.g. a test double) under its name
+const registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must have a name and a send function');
+  }
+  transports[transport.name] = transport;
+};
+
+const getTransport = (name = config.mail.transport) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text (names, addresses) before it goes into an HTML body
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// HTML body for a plain-text mail: escaped, with line breaks kept
+const textToHtml = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+
+const sendMail = async (message) => {
+  const transport = getTransport();
+  await transport.send(message);
+  return transport.name;
+};
+
+module.exports = {
+  escapeHtml,
+  textToHtml,
+  sendMail,
+  getTransport,
+  registerTransport
+};
@@ -0,0 +1,30 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const cache = require('./cache');
+
+// Public URL of the first Spatie media file for a Laravel model, cached per collection + model id
+// (invalidate with namespace "media", key "<collection>:<model id>")
+const getMediaUrl = async ({ modelType, modelId, collection, orderBy = 'order_column' }) => {
+  const orderColumn = orderBy === 'id' ? 'id' : 'order_column';
+
+  return cache.remember(cache.NAMESPACES.MEDIA, `${collection}:${modelId}`, async () => {
+    const media = await db.queryOne(
+      `SELECT id, file_name FROM media
+       WHERE model_type = ?
+       AND model_id = ?
+       AND collection_name = ?
+       ORDER BY ${orderColumn} ASC LIMIT 1`,
+      [modelType, modelId, collection]
+    );
+
+    if (!media) {
+      return null;
+    }
+    const baseUrl = config.laravel.baseUrl || 'https://nsadmin.webmoon.co.in';
+    return `${baseUrl}/storage/${media.id}/${media.file_name}`;
+  });
+};
+
+module.exports = {
+  getMediaUrl
+};
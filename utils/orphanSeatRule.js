@@ -0,0 +1,97 @@
+// No-orphan-seat rule: a selection may not leave a single empty online seat stranded in a row.
+// A row is split into runs of side-by-side online seats; gaps, missing columns and seats outside
+// the online quota end a run.
+
+// How far (in seats) a rejected selection is shifted when looking for alternatives
+const MAX_SHIFT = 2;
+const MAX_SUGGESTIONS = 3;
+
+const getRuns = (layoutData, onlineSeats) => {
+  const rows = {};
+  layoutData.forEach(seat => {
+    if (seat.type === 'gap' || !seat.seat_number || !onlineSeats.includes(seat.seat_number)) {
+      return;
+    }
+    (rows[seat.row] = rows[seat.row] || []).push({ ...seat, column: Number(seat.column) });
+  });
+
+  const runs = [];
+  Object.keys(rows).sort().forEach(row => {
+    let run = [];
+    rows[row].sort((a, b) => a.column - b.column).forEach(seat => {
+      if (run.length > 0 && seat.column !== run[run.length - 1].column + 1) {
+        runs.push(run);
+        run = [];
+      }
+      run.push(seat);
+    });
+    if (run.length > 0) {
+      runs.push(run);
+    }
+  });
+  return runs;
+};
+
+// Empty seats whose neighbours on both sides are taken (or the end of the run)
+const getIsolated = (run, taken) => run
+  .filter((seat, index) => {
+    if (taken.has(seat.seat_number)) return false;
+    const leftTaken = index === 0 || taken.has(run[index - 1].seat_number);
+    const rightTaken = index === run.length - 1 || taken.has(run[index + 1].seat_number);
+    return leftTaken && rightTaken && run.length > 1;
+  })
+  .map(seat => seat.seat_number);
+
+// Seats the selection would strand; seats that were already isolated are not the user's doing
+const findOrphanSeats = ({ runs, unavailable, selected }) => {
+  const before = new Set(unavailable);
+  const after = new Set([...unavailable, ...selected]);
+
+  const orphans = [];
+  runs.forEach(run => {
+    const alreadyIsolated = getIsolated(run, before);
+    getIsolated(run, after)
+      .filter(seat => !alreadyIsolated.includes(seat))
+      .forEach(seat => orphans.push(seat));
+  });
+  return orphans;
+};
+
+// Slide the selected seats of each offending run left/right and keep the shifts that are free
+// and strand nobody
+const suggestShifts = ({ runs, unavailable, selected, orphans }) => {
+  const suggestions = [];
+
+  runs
+    .filter(run => run.some(seat => orphans.includes(seat.seat_number)))
+    .forEach(run => {
+      const seatNumbers = run.map(seat => seat.seat_number);
+      const positions = seatNumbers
+        .map((seat, index) => (selected.includes(seat) ? index : -1))
+        .filter(index => index >= 0);
+      const others = selected.filter(seat => !seatNumbers.includes(seat));
+
+      for (let distance = 1; distance <= MAX_SHIFT; distance++) {
+        [-distance, distance].forEach(offset => {
+          const shifted = positions.map(index => seatNumbers[index + offset]);
+          if (shifted.some(seat => !seat || unavailable.includes(seat))) {
+            return;
+          }
+
+          const candidate = [...others, ...shifted];
+          if (findOrphanSeats({ runs, unavailable, selected: candidate }).length === 0 &&
+            suggestions.length < MAX_SUGGESTIONS) {
+            suggestions.push(candidate);
+          }
+        });
+      }
+    });
+
+  return suggestions;
+};
+
+module.exports = {
+  getRuns,
+  findOrphanSeats,
+  suggestShifts
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const config = require('../config/config');
 
 const generateOTP = (length = config.otp.length) => {
@@ -5,7 +6,7 @@ const generateOTP = (length = config.otp.length) => {
   let otp = '';
   
   for (let i = 0; i < length; i++) {
-    otp += digits[Math.floor(Math.random() * 10)];
+    otp += digits[crypto.randomInt(10)];
   }
   
   return otp;
@@ -26,9 +27,17 @@ const isValidPhoneNumber = (phone) => {
   return phoneRegex.test(formatPhoneNumber(phone));
 };
 
+// 9876543210 -> ******3210
+const maskPhoneNumber = (phone) => {
+  if (!phone) return null;
+  const digits = formatPhoneNumber(String(phone));
+  return '*'.repeat(Math.max(0, digits.length - 4)) + digits.slice(-4);
+};
+
 module.exports = {
   generateOTP,
   getOTPExpiryTime,
   formatPhoneNumber,
-  isValidPhoneNumber
+  isValidPhoneNumber,
+  maskPhoneNumber
 };
\ No newline at end of file
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const config = require('../config/config');
+const smsProvider = require('./smsProvider');
+const { generateOTP } = require('./otpGenerator');
+
+// Error codes returned to the mobile app
+const OTP_ERRORS = {
+  RESEND_COOLDOWN: 'OTP_RESEND_COOLDOWN',
+  SEND_LIMIT_EXCEEDED: 'OTP_SEND_LIMIT_EXCEEDED',
+  LOCKED: 'OTP_LOCKED',
+  INVALID: 'OTP_INVALID',
+  EXPIRED: 'OTP_EXPIRED',
+  DELIVERY_FAILED: 'OTP_DELIVERY_FAILED'
+};
+
+const getClientIp = (req) => {
+  return req.ip || req.socket?.remoteAddress || null;
+};
+
+const recordAttempt = async ({ phoneNumber, ip, otpId = null, action, success, errorCode = null, userAgent = null }) => {
+  try {
+    await db.query(
+      `INSERT INTO otp_attempts (phone_number, ip_address, otp_id, action, success, error_code, user_agent, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [phoneNumber, ip, otpId, action, success ? 1 : 0, errorCode, userAgent ? userAgent.substring(0, 255) : null]
+    );
+  } catch (error) {
+    // Auditing must never block a login
+    console.error('Record OTP Attempt Error:', error.message);
+  }
+};
+
+// Returns the longest active lockout for the phone number or IP, if any
+const getActiveLockout = async (phoneNumber, ip) => {
+  const lockout = await db.queryOne(
+    `SELECT scope, TIMESTAMPDIFF(SECOND, NOW(), locked_until) as remaining_seconds
+     FROM otp_lockouts
+     WHERE ((scope = 'phone' AND identifier = ?) OR (scope = 'ip' AND identifier = ?))
+     AND locked_until > NOW()
+     ORDER BY locked_until DESC
+     LIMIT 1`,
+    [phoneNumber, ip || '']
+  );
+
+  if (!lockout) {
+    return null;
+  }
+
+  return {
+    scope: lockout.scope,
+    retryAfterSeconds: Math.max(1, parseInt(lockout.remaining_seconds))
+  };
+};
+
+const createLockout = async (scope, identifier, reason) => {
+  await db.query(
+    `INSERT INTO otp_lockouts (scope, identifier, reason, locked_until, created_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+    [scope, identifier, reason, config.otp.lockoutMinutes]
+  );
+};
+
+// Counts send attempts within the rolling window and how long until the oldest one falls out of it
+const getSendWindowUsage = async (column, value) => {
+  const windowSeconds = config.otp.sendWindowMinutes * 60;
+  const usage = await db.queryOne(
+    `SELECT COUNT(*) as total,
+            TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) as oldest_age
+     FROM otp_attempts
+     WHERE ${column} = ? AND action = 'send' AND success = 1
+     AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [value, windowSeconds]
+  );
+
+  const total = parseInt(usage?.total) || 0;
+  const retryAfterSeconds = total > 0
+    ? Math.max(1, windowSeconds - (parseInt(usage.oldest_age) || 0))
+    : 0;
+
+  return { total, retryAfterSeconds };
+};
+
+// Decide whether a new OTP may be sent to this phone number from this IP
+const checkSendAllowed = async (phoneNumber, ip) => {
+  const lockout = await getActiveLockout(phoneNumber, ip);
+  if (lockout) {
+    return {
+      allowed: false,
+      code: OTP_ERRORS.LOCKED,
+      message: 'Too many failed attempts. Please try again later',
+      retryAfterSeconds: lockout.retryAfterSeconds
+    };
+  }
+
+  const lastSend = await db.queryOne(
+    `SELECT TIMESTAMPDIFF(SECOND, created_at, NOW()) as elapsed
+     FROM otp_attempts
+     WHERE phone_number = ? AND action = 'send' AND success = 1
+     ORDER BY id DESC
+     LIMIT 1`,
+    [phoneNumber]
+  );
+
+  if (lastSend) {
+    const elapsed = parseInt(lastSend.elapsed) || 0;
+    if (elapsed < config.otp.resendCooldownSeconds) {
+      return {
+        allowed: false,
+        code: OTP_ERRORS.RESEND_COOLDOWN,
+        message: 'Please wait before requesting another OTP',
+        retryAfterSeconds: config.otp.resendCooldownSeconds - elapsed
+      };
+    }
+  }
+
+  const phoneUsage = await getSendWindowUsage('phone_number', phoneNumber);
+  if (phoneUsage.total >= config.otp.maxSendsPerPhone) {
+    return {
+      allowed: false,
+      code: OTP_ERRORS.SEND_LIMIT_EXCEEDED,
+      message: 'OTP request limit reached for this phone number. Please try again later',
+      retryAfterSeconds: phoneUsage.retryAfterSeconds
+    };
+  }
+
+  if (ip) {
+    const ipUsage = await getSendWindowUsage('ip_address', ip);
+    if (ipUsage.total >= config.otp.maxSendsPerIp) {
+      return {
+        allowed: false,
+        code: OTP_ERRORS.SEND_LIMIT_EXCEEDED,
+        message: 'Too many OTP requests from this network. Please try again later',
+        retryAfterSeconds: ipUsage.retryAfterSeconds
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Take one guess off the OTP before comparing. The counter only moves while it is under the limit,
+// so parallel guesses cannot get more than maxVerifyAttempts comparisons between them.
+// Resolves to the attempts used including this one, or null when none are left.
+const reserveVerifyAttempt = async (otpId) => {
+  const result = await db.query(
+    `UPDATE otps SET failed_attempts = failed_attempts + 1
+     WHERE id = ? AND is_verified = 0 AND expires_at > NOW() AND failed_attempts < ?`,
+    [otpId, config.otp.maxVerifyAttempts]
+  );
+  if (result.affectedRows !== 1) {
+    return null;
+  }
+
+  const otpRecord = await db.queryOne('SELECT failed_attempts FROM otps WHERE id = ?', [otpId]);
+  return parseInt(otpRecord?.failed_attempts) || config.otp.maxVerifyAttempts;
+};
+
+// Register a wrong OTP guess; locks the phone (and IP) once the limits are crossed
+const registerVerifyFailure = async (phoneNumber, ip, otpId, attemptsUsed) => {
+  const attemptsRemaining = config.otp.maxVerifyAttempts - attemptsUsed;
+
+  if (attemptsRemaining <= 0) {
+    // Burn the OTP so it cannot be guessed after the lockout either
+    await db.query('UPDATE otps SET expires_at = NOW() WHERE id = ?', [otpId]);
+    await createLockout('phone', phoneNumber, 'max_verify_attempts');
+  }
+
+  if (ip) {
+    const ipFailures = await db.queryOne(
+      `SELECT COUNT(*) as total FROM otp_attempts
+       WHERE ip_address = ? AND action = 'verify' AND success = 0
+       AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [ip, config.otp.lockoutMinutes]
+    );
+
+    if ((parseInt(ipFailures?.total) || 0) >= config.otp.maxVerifyAttemptsPerIp) {
+      await createLockout('ip', ip, 'max_verify_attempts_per_ip');
+    }
+  }
+
+  return {
+    attemptsRemaining: Math.max(0, attemptsRemaining),
+    locked: attemptsRemaining <= 0,
+    retryAfterSeconds: config.otp.lockoutMinutes * 60
+  };
+};
+
+// Constant-time OTP comparison
+const otpMatches = (expected, received) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Generate, store and deliver a new OTP after the rate-limit checks.
+// Resolves to { ok: true, otp, providerName } or { ok: false, status, code, message, retryAfterSeconds }
+const issueOTP = async (phoneNumber, { ip = null, userAgent = null } = {}) => {
+  const check = await checkSendAllowed(phoneNumber, ip);
+  if (!check.allowed) {
+    await recordAttempt({ phoneNumber, ip, action: 'send', success: false, errorCode: check.code, userAgent });
+    return { ok: false, status: 429, ...check };
+  }
+
+  const otp = generateOTP(config.otp.length);
+
+  // Invalidate any previous unused OTP (rows are kept for the audit trail)
+  await db.query(
+    'UPDATE otps SET expires_at = NOW() WHERE phone_number = ? AND is_verified = 0 AND expires_at > NOW()',
+    [phoneNumber]
+  );
+
+  const otpResult = await db.query(
+    'INSERT INTO otps (phone_number, otp_code, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [phoneNumber, otp, config.otp.expireMinutes]
+  );
+
+  let providerName;
+  try {
+    providerName = await smsProvider.sendOTP(phoneNumber, otp);
+  } catch (deliveryError) {
+    console.error('OTP Delivery Error:', deliveryError.response?.data || deliveryError.message);
+    await db.query('UPDATE otps SET expires_at = NOW() WHERE id = ?', [otpResult.insertId]);
+    await recordAttempt({
+      phoneNumber, ip, otpId: otpResult.insertId, action: 'send', success: false,
+      errorCode: OTP_ERRORS.DELIVERY_FAILED, userAgent
+    });
+    return {
+      ok: false,
+      status: 502,
+      code: OTP_ERRORS.DELIVERY_FAILED,
+      message: 'Unable to deliver OTP. Please try again'
+    };
+  }
+
+  await recordAttempt({ phoneNumber, ip, otpId: otpResult.insertId, action: 'send', success: true, userAgent });
+
+  return {
+    ok: true,
+    otp,
+    otpId: otpResult.insertId,
+    providerName,
+    retryAfterSeconds: config.otp.resendCooldownSeconds
+  };
+};
+
+// Check an OTP guess against the latest active OTP and mark it used on success.
+// Resolves to { ok: true, otpId } or { ok: false, status, code, message, retryAfterSeconds?, attemptsRemaining? }
+const consumeOTP = async (phoneNumber, otp, { ip = null, userAgent = null } = {}) => {
+  const lockout = await getActiveLockout(phoneNumber, ip);
+  if (lockout) {
+    await recordAttempt({ phoneNumber, ip, action: 'verify', success: false, errorCode: OTP_ERRORS.LOCKED, userAgent });
+    return {
+      ok: false,
+      status: 429,
+      code: OTP_ERRORS.LOCKED,
+      message: 'Too many failed attempts. Please try again later',
+      retryAfterSeconds: lockout.retryAfterSeconds
+    };
+  }
+
+  const otpRecord = await db.queryOne(
+    `SELECT id, otp_code FROM otps
+     WHERE phone_number = ? AND is_verified = 0 AND expires_at > NOW()
+     ORDER BY id DESC
+     LIMIT 1`,
+    [phoneNumber]
+  );
+
+  if (!otpRecord) {
+    await recordAttempt({ phoneNumber, ip, action: 'verify', success: false, errorCode: OTP_ERRORS.EXPIRED, userAgent });
+    return {
+      ok: false,
+      status: 400,
+      code: OTP_ERRORS.EXPIRED,
+      message: 'OTP has expired. Please request a new one'
+    };
+  }
+
+  const lockedResult = {
+    ok: false,
+    status: 429,
+    code: OTP_ERRORS.LOCKED,
+    message: 'Too many failed attempts. Please try again later',
+    retryAfterSeconds: config.otp.lockoutMinutes * 60
+  };
+
+  const attemptsUsed = await reserveVerifyAttempt(otpRecord.id);
+  if (attemptsUsed === null) {
+    await recordAttempt({
+      phoneNumber, ip, otpId: otpRecord.id, action: 'verify', success: false,
+      errorCode: OTP_ERRORS.LOCKED, userAgent
+    });
+    return lockedResult;
+  }
+
+  if (!otpMatches(otpRecord.otp_code, otp)) {
+    await recordAttempt({
+      phoneNumber, ip, otpId: otpRecord.id, action: 'verify', success: false,
+      errorCode: OTP_ERRORS.INVALID, userAgent
+    });
+    const failure = await registerVerifyFailure(phoneNumber, ip, otpRecord.id, attemptsUsed);
+
+    if (failure.locked) {
+      return lockedResult;
+    }
+
+    return {
+      ok: false,
+      status: 400,
+      code: OTP_ERRORS.INVALID,
+      message: 'Invalid OTP',
+      attemptsRemaining: failure.attemptsRemaining
+    };
+  }
+
+  // Only one of several parallel correct guesses may use the OTP
+  const consumed = await db.query(
+    'UPDATE otps SET is_verified = 1 WHERE id = ? AND is_verified = 0 AND expires_at > NOW()',
+    [otpRecord.id]
+  );
+  if (consumed.affectedRows !== 1) {
+    await recordAttempt({ phoneNumber, ip, otpId: otpRecord.id, action: 'verify', success: false, errorCode: OTP_ERRORS.EXPIRED, userAgent });
+    return {
+      ok: false,
+      status: 400,
+      code: OTP_ERRORS.EXPIRED,
+      message: 'OTP has expired. Please request a new one'
+    };
+  }
+
+  await recordAttempt({ phoneNumber, ip, otpId: otpRecord.id, action: 'verify', success: true, userAgent });
+
+  return { ok: true, otpId: otpRecord.id };
+};
+
+// Map a failed issueOTP / consumeOTP result onto the API error shape
+const otpErrorDetails = (result) => {
+  const details = {};
+  if (result.retryAfterSeconds !== undefined) {
+    details.retry_after_seconds = result.retryAfterSeconds;
+  }
+  if (result.attemptsRemaining !== undefined) {
+    details.attempts_remaining = result.attemptsRemaining;
+  }
+  return details;
+};
+
+module.exports = {
+  OTP_ERRORS,
+  getClientIp,
+  recordAttempt,
+  getActiveLockout,
+  checkSendAllowed,
+  registerVerifyFailure,
+  otpMatches,
+  issueOTP,
+  consumeOTP,
+  otpErrorDetails
+};
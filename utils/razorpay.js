@@ -76,6 +76,28 @@ const fetchPayment = async (paymentId) => {
     }
 };
 
+/**
+ * Stable hash of the card / UPI handle / wallet behind a Razorpay payment
+ * @param {object} payment - Razorpay payment entity
+ * @returns {string|null} SHA-256 fingerprint, or null when the method has no identifiable instrument
+ */
+const getInstrumentFingerprint = (payment) => {
+    if (!payment) {
+        return null;
+    }
+
+    let instrument = null;
+    if (payment.method === 'upi' && payment.vpa) {
+        instrument = `upi:${payment.vpa.toLowerCase()}`;
+    } else if (payment.method === 'card' && payment.card) {
+        instrument = `card:${payment.card.network}:${payment.card.issuer}:${payment.card.last4}`;
+    } else if (payment.method === 'wallet' && payment.wallet) {
+        instrument = `wallet:${payment.wallet}:${payment.contact}`;
+    }
+
+    return instrument ? crypto.createHash('sha256').update(instrument).digest('hex') : null;
+};
+
 const generateReceiptId = (userId) => {
     const timestamp = Date.now();
     return `rcpt_${userId}_${timestamp}`;
@@ -86,6 +108,7 @@ module.exports = {
     createOrder,
     verifySignature,
     fetchPayment,
+    getInstrumentFingerprint,
     generateReceiptId,
     KEY_ID,
     KEY_SECRET
@@ -0,0 +1,58 @@
+const db = require('../config/db');
+
+const ROLES = {
+  CUSTOMER: 'customer',
+  THEATRE_STAFF: 'theatre_staff',
+  THEATRE_MANAGER: 'theatre_manager',
+  EVENT_ORGANISER: 'event_organiser',
+  ADMIN: 'admin'
+};
+
+// Roles, permissions and scopes of a user - embedded in the access token
+const getUserAuthorization = async (userId) => {
+  const assignments = await db.query(
+    `SELECT role, theater_id, event_organizer_id FROM api_user_roles
+     WHERE user_id = ? AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  const roles = [ROLES.CUSTOMER, ...new Set(assignments.map(a => a.role))];
+
+  const permissionRows = assignments.length > 0
+    ? await db.query(
+      'SELECT DISTINCT permission FROM api_role_permissions WHERE role IN (?)',
+      [roles]
+    )
+    : [];
+
+  return {
+    roles: [...new Set(roles)],
+    permissions: permissionRows.map(p => p.permission),
+    theater_ids: [...new Set(assignments.filter(a => a.theater_id).map(a => a.theater_id))],
+    event_organizer_ids: [...new Set(assignments.filter(a => a.event_organizer_id).map(a => a.event_organizer_id))]
+  };
+};
+
+const isAdmin = (user) => Array.isArray(user?.roles) && user.roles.includes(ROLES.ADMIN);
+
+const hasRole = (user, ...roles) => {
+  return isAdmin(user) || (Array.isArray(user?.roles) && roles.some(role => user.roles.includes(role)));
+};
+
+const hasPermission = (user, ...permissions) => {
+  return isAdmin(user) || (Array.isArray(user?.permissions) && permissions.every(p => user.permissions.includes(p)));
+};
+
+// Theatre-scoped roles only apply to the theatres they were granted for
+const canAccessTheater = (user, theaterId) => {
+  return isAdmin(user) || (Array.isArray(user?.theater_ids) && user.theater_ids.map(String).includes(String(theaterId)));
+};
+
+module.exports = {
+  ROLES,
+  getUserAuthorization,
+  isAdmin,
+  hasRole,
+  hasPermission,
+  canAccessTheater
+};
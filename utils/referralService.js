@@ -0,0 +1,191 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const loyaltyLedger = require('./loyaltyLedger');
+const razorpayUtil = require('./razorpay');
+
+const REJECTION_REASONS = {
+  SELF_REFERRAL: 'self_referral',
+  SAME_DEVICE: 'same_device',
+  SAME_PAYMENT_INSTRUMENT: 'same_payment_instrument',
+  MONTHLY_CAP_REACHED: 'monthly_cap_reached'
+};
+
+const getReferralAmount = async () => {
+  const settings = await db.queryOne('SELECT referral_amount FROM admin_settings LIMIT 1');
+  return settings ? parseFloat(settings.referral_amount) : 50;
+};
+
+// Hold the referrer's reward until the new user's first paid booking
+const createPendingReward = async ({ referrerId, refereeId, referralCode, deviceId = null }) => {
+  const amount = await getReferralAmount();
+
+  await db.query(
+    `INSERT IGNORE INTO referral_rewards
+     (referrer_id, referee_id, referral_code, amount, status, referee_device_id, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 'pending', ?, NOW(), NOW())`,
+    [referrerId, refereeId, referralCode, amount, deviceId]
+  );
+};
+
+// Ids made up by the test-verify endpoint; no money moved, so they never count as a paid booking
+const isTestPayment = (razorpayPaymentId) => String(razorpayPaymentId || '').startsWith('pay_test_');
+
+// Fetch the payment from Razorpay and store its instrument fingerprint.
+// Resolves to { captured, fingerprint }, or null when the payment could not be confirmed with Razorpay.
+const recordPaymentInstrument = async (paymentTransactionId, razorpayPaymentId) => {
+  if (!razorpayPaymentId || isTestPayment(razorpayPaymentId)) {
+    return null;
+  }
+
+  try {
+    const payment = await razorpayUtil.fetchPayment(razorpayPaymentId);
+    const fingerprint = razorpayUtil.getInstrumentFingerprint(payment);
+
+    await db.query(
+      'UPDATE payment_transactions SET payment_method = COALESCE(?, payment_method), instrument_fingerprint = ? WHERE id = ?',
+      [payment.method || null, fingerprint, paymentTransactionId]
+    );
+
+    return { captured: payment.status === 'captured', fingerprint };
+  } catch (error) {
+    console.error('Record Payment Instrument Error:', error.message);
+    return null;
+  }
+};
+
+const sharesDevice = async (reward) => {
+  const match = await db.queryOne(
+    `SELECT 1 as found
+     FROM user_sessions referrer
+     WHERE referrer.user_id = ? AND referrer.device_id IS NOT NULL
+     AND (
+       referrer.device_id = ?
+       OR referrer.device_id IN (SELECT device_id FROM user_sessions WHERE user_id = ? AND device_id IS NOT NULL)
+     )
+     LIMIT 1`,
+    [reward.referrer_id, reward.referee_device_id, reward.referee_id]
+  );
+  return !!match;
+};
+
+const sharesPaymentInstrument = async (reward, fingerprint) => {
+  if (!fingerprint) {
+    return false;
+  }
+
+  const match = await db.queryOne(
+    `SELECT 1 as found FROM payment_transactions
+     WHERE user_id = ? AND instrument_fingerprint = ? AND status = 'success'
+     LIMIT 1`,
+    [reward.referrer_id, fingerprint]
+  );
+  return !!match;
+};
+
+const rejectReward = async (rewardId, reason) => {
+  await db.query(
+    `UPDATE referral_rewards SET status = 'rejected', rejection_reason = ?, updated_at = NOW()
+     WHERE id = ? AND status = 'pending'`,
+    [reason, rewardId]
+  );
+  console.log(`Referral reward ${rewardId} rejected: ${reason}`);
+};
+
+// Release (or reject) the referee's pending reward once the monthly cap is checked under a lock
+const releaseReward = async (reward, { bookingType, bookingId }) => {
+  const connection = await db.beginTransaction();
+  try {
+    await connection.query('SELECT id FROM users_profiles WHERE id = ? FOR UPDATE', [reward.referrer_id]);
+
+    const [countRows] = await connection.query(
+      `SELECT COUNT(*) as total FROM referral_rewards
+       WHERE referrer_id = ? AND status = 'released'
+       AND released_at >= DATE_FORMAT(NOW(), '%Y-%m-01')`,
+      [reward.referrer_id]
+    );
+
+    if (countRows[0].total >= config.referral.monthlyCap) {
+      await connection.rollback();
+      connection.release();
+      await rejectReward(reward.id, REJECTION_REASONS.MONTHLY_CAP_REACHED);
+      return false;
+    }
+
+    const [result] = await connection.query(
+      `UPDATE referral_rewards
+       SET status = 'released', booking_type = ?, booking_id = ?, released_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [bookingType, bookingId, reward.id]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      connection.release();
+      return false;
+    }
+
+    await loyaltyLedger.recordEntry(connection, {
+      userId: reward.referrer_id,
+      type: loyaltyLedger.LEDGER_TYPES.REFERRAL,
+      points: reward.amount,
+      referenceType: 'referral',
+      referenceId: reward.referee_id,
+      description: 'Referral reward'
+    });
+
+    await connection.commit();
+    connection.release();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+};
+
+// Run after a booking's payment is confirmed. Never throws - the booking is already paid.
+const processPaidBooking = async ({ userId, paymentTransactionId, razorpayPaymentId, amountPaid, bookingType, bookingId }) => {
+  try {
+    const instrument = await recordPaymentInstrument(paymentTransactionId, razorpayPaymentId);
+
+    // Only money Razorpay actually captured counts (test payments and unknown ids never do);
+    // the reward stays pending for a later booking otherwise
+    if (!(parseFloat(amountPaid) > 0) || !instrument || !instrument.captured) {
+      return;
+    }
+
+    const reward = await db.queryOne(
+      `SELECT * FROM referral_rewards WHERE referee_id = ? AND status = 'pending'`,
+      [userId]
+    );
+
+    if (!reward) {
+      return;
+    }
+
+    if (reward.referrer_id == reward.referee_id) {
+      return await rejectReward(reward.id, REJECTION_REASONS.SELF_REFERRAL);
+    }
+
+    if (await sharesDevice(reward)) {
+      return await rejectReward(reward.id, REJECTION_REASONS.SAME_DEVICE);
+    }
+
+    if (await sharesPaymentInstrument(reward, instrument.fingerprint)) {
+      return await rejectReward(reward.id, REJECTION_REASONS.SAME_PAYMENT_INSTRUMENT);
+    }
+
+    if (await releaseReward(reward, { bookingType, bookingId })) {
+      console.log(`✅ Referral reward released to user ${reward.referrer_id} for referee ${userId}`);
+    }
+  } catch (error) {
+    console.error('Process Referral Reward Error:', error);
+  }
+};
+
+module.exports = {
+  REJECTION_REASONS,
+  createPendingReward,
+  recordPaymentInstrument,
+  processPaidBooking
+};
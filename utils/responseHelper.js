@@ -42,6 +42,16 @@ const errorResponse = (res, message, statusCode = 400, errors = null, includeTim
   return res.status(statusCode).json(response);
 };
 
+// Error with a machine-readable code the mobile app can map to a message
+const errorCodeResponse = (res, message, statusCode, errorCode, extra = {}) => {
+  return res.status(statusCode).json({
+    success: false,
+    message,
+    error_code: errorCode,
+    ...extra
+  });
+};
+
 const validationErrorResponse = (res, errors) => {
   return errorResponse(res, 'Validation failed', 422, errors);
 };
@@ -50,6 +60,10 @@ const unauthorizedResponse = (res, message = 'Unauthorized access') => {
   return errorResponse(res, message, 401);
 };
 
+const forbiddenResponse = (res, message = 'Forbidden') => {
+  return errorResponse(res, message, 403);
+};
+
 const notFoundResponse = (res, message = 'Resource not found') => {
   return errorResponse(res, message, 404);
 };
@@ -57,8 +71,10 @@ const notFoundResponse = (res, message = 'Resource not found') => {
 module.exports = {
   successResponse,
   errorResponse,
+  errorCodeResponse,
   validationErrorResponse,
   unauthorizedResponse,
+  forbiddenResponse,
   notFoundResponse,
   getTimestamp
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+// Seat attributes from layout_data and the booking rules that go with them.
+// A layout seat may carry `attributes: ['wheelchair', ...]` (array or JSON string) and/or
+// boolean flags such as `is_wheelchair` / `wheelchair`. Couple seats pair up with `pair_with`,
+// or else left to right within a run of side-by-side couple seats.
+
+const SEAT_ATTRIBUTES = {
+  WHEELCHAIR: 'wheelchair',
+  COMPANION: 'companion',
+  AISLE: 'aisle',
+  RECLINER: 'recliner',
+  COUPLE: 'couple'
+};
+
+const SEAT_RULE_ERRORS = {
+  COMPANION_REQUIRES_ACCESSIBLE: 'COMPANION_SEAT_REQUIRES_ACCESSIBLE',
+  COUPLE_PAIR_REQUIRED: 'COUPLE_SEAT_PAIR_REQUIRED'
+};
+
+const KNOWN_ATTRIBUTES = Object.values(SEAT_ATTRIBUTES);
+
+const getSeatAttributes = (seat) => {
+  let listed = seat.attributes || [];
+  if (typeof listed === 'string') {
+    try {
+      listed = JSON.parse(listed);
+    } catch (error) {
+      listed = listed.split(',');
+    }
+  }
+  if (!Array.isArray(listed)) {
+    listed = [];
+  }
+
+  const attributes = new Set(listed.map(attribute => String(attribute).trim().toLowerCase()));
+  KNOWN_ATTRIBUTES.forEach(attribute => {
+    if (seat[attribute] === true || seat[`is_${attribute}`] === true ||
+      seat[attribute] === 1 || seat[`is_${attribute}`] === 1) {
+      attributes.add(attribute);
+    }
+  });
+
+  return KNOWN_ATTRIBUTES.filter(attribute => attributes.has(attribute));
+};
+
+// seat_number -> partner seat_number for every couple seat
+const getCouplePairs = (layoutData) => {
+  const pairs = {};
+  const rows = {};
+
+  layoutData.forEach(seat => {
+    if (seat.type === 'gap' || !seat.seat_number || !getSeatAttributes(seat).includes(SEAT_ATTRIBUTES.COUPLE)) {
+      return;
+    }
+    if (seat.pair_with) {
+      pairs[seat.seat_number] = String(seat.pair_with);
+      pairs[String(seat.pair_with)] = seat.seat_number;
+      return;
+    }
+    (rows[seat.row] = rows[seat.row] || []).push({ seat_number: seat.seat_number, column: Number(seat.column) });
+  });
+
+  Object.values(rows).forEach(rowSeats => {
+    rowSeats.sort((a, b) => a.column - b.column);
+    for (let index = 0; index + 1 < rowSeats.length; index++) {
+      const left = rowSeats[index];
+      const right = rowSeats[index + 1];
+      if (right.column === left.column + 1) {
+        pairs[left.seat_number] = right.seat_number;
+        pairs[right.seat_number] = left.seat_number;
+        index++;
+      }
+    }
+  });
+
+  return pairs;
+};
+
+// Check a user's full selection on a schedule; returns null when it is allowed
+const checkSelection = (layoutData, selected) => {
+  const bySeatNumber = {};
+  layoutData.forEach(seat => {
+    if (seat.seat_number) {
+      bySeatNumber[String(seat.seat_number)] = getSeatAttributes(seat);
+    }
+  });
+
+  const hasAttribute = (seatNumber, attribute) => (bySeatNumber[seatNumber] || []).includes(attribute);
+
+  // One companion seat per accessible (wheelchair) seat in the same selection
+  const companions = selected.filter(seat => hasAttribute(seat, SEAT_ATTRIBUTES.COMPANION));
+  const accessible = selected.filter(seat => hasAttribute(seat, SEAT_ATTRIBUTES.WHEELCHAIR));
+  if (companions.length > accessible.length) {
+    return {
+      code: SEAT_RULE_ERRORS.COMPANION_REQUIRES_ACCESSIBLE,
+      message: 'Companion seats can only be booked together with a wheelchair-accessible seat',
+      seats: companions
+    };
+  }
+
+  const pairs = getCouplePairs(layoutData);
+  const unpaired = selected.filter(seat => pairs[seat] && !selected.includes(pairs[seat]));
+  if (unpaired.length > 0) {
+    return {
+      code: SEAT_RULE_ERRORS.COUPLE_PAIR_REQUIRED,
+      message: `Couple seats are booked in pairs. Please also select ${unpaired.map(seat => pairs[seat]).join(', ')}`,
+      seats: unpaired,
+      required_seats: unpaired.map(seat => pairs[seat])
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  SEAT_ATTRIBUTES,
+  SEAT_RULE_ERRORS,
+  getSeatAttributes,
+  getCouplePairs,
+  checkSelection
+};
@@ -0,0 +1,79 @@
+// Server-Sent Events channel per schedule for live seat status on the seat layout screen.
+// Subscribers live in this process's memory; each API instance streams the changes it makes.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const SEAT_STATUS = {
+  LOCKED: 'locked',
+  AVAILABLE: 'available',
+  BOOKED: 'booked'
+};
+
+// schedule_id -> Set of open responses
+const channels = new Map();
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const subscribe = (scheduleId, req, res) => {
+  const key = String(scheduleId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  write(res, 'ready', { schedule_id: Number(scheduleId) || scheduleId });
+
+  if (!channels.has(key)) {
+    channels.set(key, new Set());
+  }
+  channels.get(key).add(res);
+
+  // Keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(key);
+    if (subscribers) {
+      subscribers.delete(res);
+      if (subscribers.size === 0) {
+        channels.delete(key);
+      }
+    }
+  });
+};
+
+// Push a status change for some seats to everyone watching the schedule
+const publish = (scheduleId, seats, status) => {
+  const subscribers = channels.get(String(scheduleId));
+  if (!subscribers || !seats || seats.length === 0) {
+    return;
+  }
+
+  const payload = {
+    schedule_id: Number(scheduleId) || scheduleId,
+    status,
+    seats: seats.map(String),
+    at: new Date().toISOString()
+  };
+
+  subscribers.forEach(res => {
+    try {
+      write(res, 'seats', payload);
+    } catch (error) {
+      console.error('Seat event write failed:', error.message);
+    }
+  });
+};
+
+module.exports = {
+  SEAT_STATUS,
+  subscribe,
+  publish
+};
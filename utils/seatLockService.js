@@ -0,0 +1,372 @@
+const db = require('../config/db');
+const config = require('../config/config');
+const bookedSeatService = require('./bookedSeatService');
+const orphanSeatRule = require('./orphanSeatRule');
+const seatAttributes = require('./seatAttributes');
+
+const SEAT_LOCK_ERRORS = {
+  SEATS_UNAVAILABLE: 'SEATS_UNAVAILABLE',
+  SEAT_LIMIT_EXCEEDED: 'SEAT_LIMIT_EXCEEDED',
+  SCHEDULE_LIMIT_EXCEEDED: 'SCHEDULE_LIMIT_EXCEEDED',
+  LOCKS_EXPIRED: 'SEAT_LOCKS_EXPIRED',
+  ORPHAN_SEAT: 'ORPHAN_SEAT'
+};
+
+const CONFLICT_REASONS = {
+  NOT_IN_ONLINE_QUOTA: 'not_in_online_quota',
+  BOOKED: 'booked',
+  LOCKED: 'locked_by_another_user'
+};
+
+const parseJSON = (value, defaultValue) => {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value) || defaultValue;
+  } catch (error) {
+    return defaultValue;
+  }
+};
+
+// Trimmed, de-duplicated and sorted so concurrent requests take row locks in the same order
+const normalizeSeats = (seats) => [...new Set(
+  (seats || []).map(seat => String(seat).trim()).filter(Boolean)
+)].sort();
+
+const getScheduleSeating = async (scheduleId) => {
+  const schedule = await db.queryOne(
+    `SELECT slb.layout_data, slb.seat_allocation, t.prevent_orphan_seats
+     FROM schedule_managements schm
+     JOIN show_managements sm ON schm.movie_id = sm.id
+     JOIN seat_layout_builders slb ON schm.screen_id = slb.id
+     JOIN theaters t ON sm.theaters_id = t.id
+     WHERE schm.id = ?
+     AND schm.status = '1'
+     AND schm.deleted_at IS NULL`,
+    [scheduleId]
+  );
+
+  if (!schedule) {
+    return null;
+  }
+
+  const seatAllocation = parseJSON(schedule.seat_allocation, {});
+  return {
+    layoutData: parseJSON(schedule.layout_data, []),
+    onlineSeats: (seatAllocation.online_seats || []).map(String),
+    preventOrphans: config.seatLock.preventOrphanSeats && Number(schedule.prevent_orphan_seats) === 1
+  };
+};
+
+const hasLiveLocks = async (connection, scheduleId, userId) => {
+  const [rows] = await connection.query(
+    'SELECT 1 as found FROM seat_locks WHERE schedule_id = ? AND user_id = ? AND expires_at > NOW() LIMIT 1',
+    [scheduleId, userId]
+  );
+  return rows.length > 0;
+};
+
+// The hold starts with the user's first lock on a schedule and keeps its start until every one
+// of those locks is gone, so swapping seats never restarts the maximum hold
+const startHold = async (connection, scheduleId, userId) => {
+  if (await hasLiveLocks(connection, scheduleId, userId)) {
+    await connection.query(
+      `INSERT IGNORE INTO seat_holds (user_id, schedule_id, started_at)
+       SELECT ?, ?, MIN(locked_at) FROM seat_locks
+       WHERE schedule_id = ? AND user_id = ? AND expires_at > NOW()`,
+      [userId, scheduleId, scheduleId, userId]
+    );
+    return;
+  }
+
+  await connection.query(
+    `INSERT INTO seat_holds (user_id, schedule_id, started_at) VALUES (?, ?, NOW())
+     ON DUPLICATE KEY UPDATE started_at = NOW()`,
+    [userId, scheduleId]
+  );
+};
+
+// Every lock a user holds on a schedule shares one expiry: now + holdMinutes, but never more
+// than maxHoldMinutes after the hold started
+const getHoldWindow = async (connection, scheduleId, userId) => {
+  const { holdMinutes, maxHoldMinutes } = config.seatLock;
+  const [rows] = await connection.query(
+    `SELECT started_at as hold_started_at,
+       LEAST(
+         DATE_ADD(NOW(), INTERVAL ? MINUTE),
+         DATE_ADD(started_at, INTERVAL ? MINUTE)
+       ) as expires_at,
+       DATE_ADD(started_at, INTERVAL ? MINUTE) as hold_ends_at
+     FROM seat_holds
+     WHERE schedule_id = ? AND user_id = ?`,
+    [holdMinutes, maxHoldMinutes, maxHoldMinutes, scheduleId, userId]
+  );
+  return rows[0] || null;
+};
+
+// Seats-per-schedule and concurrent-schedule caps, checked against the user's live locks
+const checkHoldLimits = async (connection, { scheduleId, userId, seatNumbers }) => {
+  const { maxSeatsPerSchedule, maxSchedules } = config.seatLock;
+  const [locks] = await connection.query(
+    'SELECT schedule_id, seat_number FROM seat_locks WHERE user_id = ? AND expires_at > NOW()',
+    [userId]
+  );
+
+  const heldHere = locks
+    .filter(lock => String(lock.schedule_id) === String(scheduleId))
+    .map(lock => String(lock.seat_number));
+  const seatCount = new Set([...heldHere, ...seatNumbers]).size;
+  if (seatCount > maxSeatsPerSchedule) {
+    return {
+      ok: false,
+      status: 400,
+      code: SEAT_LOCK_ERRORS.SEAT_LIMIT_EXCEEDED,
+      message: `You can hold at most ${maxSeatsPerSchedule} seats for a show`
+    };
+  }
+
+  const otherSchedules = new Set(
+    locks.map(lock => String(lock.schedule_id)).filter(id => id !== String(scheduleId))
+  );
+  if (otherSchedules.size >= maxSchedules) {
+    return {
+      ok: false,
+      status: 409,
+      code: SEAT_LOCK_ERRORS.SCHEDULE_LIMIT_EXCEEDED,
+      message: `You are already holding seats for ${otherSchedules.size} other show(s). Release them before selecting seats here`
+    };
+  }
+
+  return null;
+};
+
+// Everything the user holds on the schedule (including this request) counts as their selection
+const getSelection = async (connection, { scheduleId, userId, bookedSeats }) => {
+  const [locks] = await connection.query(
+    'SELECT seat_number, user_id FROM seat_locks WHERE schedule_id = ? AND expires_at > NOW()',
+    [scheduleId]
+  );
+
+  return {
+    selected: locks
+      .filter(lock => Number(lock.user_id) === Number(userId))
+      .map(lock => String(lock.seat_number)),
+    unavailable: [
+      ...bookedSeats,
+      ...locks.filter(lock => Number(lock.user_id) !== Number(userId)).map(lock => String(lock.seat_number))
+    ]
+  };
+};
+
+const checkOrphanSeats = (seating, { selected, unavailable }) => {
+  const runs = orphanSeatRule.getRuns(seating.layoutData, seating.onlineSeats);
+  const orphans = orphanSeatRule.findOrphanSeats({ runs, unavailable, selected });
+  if (orphans.length === 0) {
+    return null;
+  }
+
+  return {
+    ok: false,
+    status: 409,
+    code: SEAT_LOCK_ERRORS.ORPHAN_SEAT,
+    message: `This selection leaves a single empty seat (${orphans.join(', ')}). Please shift your seats`,
+    orphan_seats: orphans,
+    suggestions: orphanSeatRule.suggestShifts({ runs, unavailable, selected, orphans })
+  };
+};
+
+// Companion seats need an accessible seat, couple seats go in pairs
+const checkSeatRules = (seating, { selected }) => {
+  const violation = seatAttributes.checkSelection(seating.layoutData, selected);
+  if (!violation) {
+    return null;
+  }
+
+  const { code, message, ...details } = violation;
+  return { ok: false, status: 422, code, message, ...details };
+};
+
+const conflictResult = (conflicts) => ({
+  ok: false,
+  status: 409,
+  code: SEAT_LOCK_ERRORS.SEATS_UNAVAILABLE,
+  message: `Seats not available: ${conflicts.map(conflict => conflict.seat_number).join(', ')}`,
+  conflicts
+});
+
+// Lock every requested seat for the user or none of them. Seats the user already holds are
+// refreshed; a live lock held by someone else is never overwritten. Partner API clients book
+// for many customers, so they pass enforceLimits: false.
+const acquireSeats = async ({ scheduleId, userId, seats, enforceLimits = true }) => {
+  const seatNumbers = normalizeSeats(seats);
+  if (seatNumbers.length === 0) {
+    return { ok: false, status: 400, message: 'Schedule ID and seats are required' };
+  }
+
+  const seating = await getScheduleSeating(scheduleId);
+  if (!seating) {
+    return { ok: false, status: 404, message: 'Schedule not found' };
+  }
+  const { onlineSeats } = seating;
+
+  const outsideQuota = seatNumbers
+    .filter(seat => !onlineSeats.includes(seat))
+    .map(seat => ({ seat_number: seat, reason: CONFLICT_REASONS.NOT_IN_ONLINE_QUOTA }));
+  if (outsideQuota.length > 0) {
+    return conflictResult(outsideQuota);
+  }
+
+  const connection = await db.beginTransaction();
+  try {
+    // One lock request per user at a time, so the caps cannot be raced
+    await connection.query('SELECT id FROM users_profiles WHERE id = ? FOR UPDATE', [userId]);
+
+    if (enforceLimits) {
+      const limitError = await checkHoldLimits(connection, { scheduleId, userId, seatNumbers });
+      if (limitError) {
+        await connection.rollback();
+        connection.release();
+        return limitError;
+      }
+    }
+
+    await connection.query(
+      `DELETE FROM seat_locks
+       WHERE schedule_id = ? AND seat_number IN (?) AND expires_at <= NOW()`,
+      [scheduleId, seatNumbers]
+    );
+
+    await startHold(connection, scheduleId, userId);
+    const hold = await getHoldWindow(connection, scheduleId, userId);
+
+    // Inserts block on the unique key until a competing request commits; an existing row
+    // only gets its expiry moved, and only when it already belongs to this user
+    await connection.query(
+      `INSERT INTO seat_locks (schedule_id, seat_number, user_id, locked_at, expires_at)
+       VALUES ${seatNumbers.map(() => '(?, ?, ?, NOW(), ?)').join(', ')}
+       ON DUPLICATE KEY UPDATE
+          expires_at = IF(user_id = VALUES(user_id), VALUES(expires_at), expires_at)`,
+      seatNumbers.flatMap(seat => [scheduleId, seat, userId, hold.expires_at])
+    );
+
+    // Seats held from an earlier request move to the same expiry
+    await connection.query(
+      `UPDATE seat_locks SET expires_at = ?
+       WHERE schedule_id = ? AND user_id = ? AND expires_at > NOW()`,
+      [hold.expires_at, scheduleId, userId]
+    );
+
+    const [locks] = await connection.query(
+      `SELECT seat_number, user_id, expires_at FROM seat_locks
+       WHERE schedule_id = ? AND seat_number IN (?)`,
+      [scheduleId, seatNumbers]
+    );
+
+    const bookedSeats = new Set(await bookedSeatService.getBookedSeats(scheduleId, connection));
+    const conflicts = [];
+    seatNumbers.forEach(seat => {
+      const lock = locks.find(row => String(row.seat_number) === seat);
+      if (bookedSeats.has(seat)) {
+        conflicts.push({ seat_number: seat, reason: CONFLICT_REASONS.BOOKED });
+      } else if (!lock || Number(lock.user_id) !== Number(userId)) {
+        conflicts.push({ seat_number: seat, reason: CONFLICT_REASONS.LOCKED });
+      }
+    });
+
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      connection.release();
+      return conflictResult(conflicts);
+    }
+
+    const selection = await getSelection(connection, { scheduleId, userId, bookedSeats });
+    const ruleError = checkSeatRules(seating, selection) ||
+      (seating.preventOrphans ? checkOrphanSeats(seating, selection) : null);
+    if (ruleError) {
+      await connection.rollback();
+      connection.release();
+      return ruleError;
+    }
+
+    await connection.commit();
+    connection.release();
+
+    return { ok: true, seats: seatNumbers, expiresAt: new Date(hold.expires_at), holdEndsAt: new Date(hold.hold_ends_at) };
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+
+    // Two requests grabbing overlapping seats in one go; the loser gets a normal conflict
+    if (error.code === 'ER_LOCK_DEADLOCK' || error.code === 'ER_LOCK_WAIT_TIMEOUT') {
+      return conflictResult(seatNumbers.map(seat => ({ seat_number: seat, reason: CONFLICT_REASONS.LOCKED })));
+    }
+    throw error;
+  }
+};
+
+// Heartbeat from the seat selection / payment screens: push the user's locks on a schedule
+// out by another holdMinutes, up to the absolute maximum hold
+const extendSeats = async ({ scheduleId, userId }) => {
+  const connection = await db.beginTransaction();
+  try {
+    const hold = await hasLiveLocks(connection, scheduleId, userId)
+      ? await getHoldWindow(connection, scheduleId, userId)
+      : null;
+    if (!hold) {
+      await connection.rollback();
+      connection.release();
+      return {
+        ok: false,
+        status: 410,
+        code: SEAT_LOCK_ERRORS.LOCKS_EXPIRED,
+        message: 'Your seat selection has expired. Please select seats again'
+      };
+    }
+
+    await connection.query(
+      `UPDATE seat_locks SET expires_at = ?
+       WHERE schedule_id = ? AND user_id = ? AND expires_at > NOW()`,
+      [hold.expires_at, scheduleId, userId]
+    );
+
+    const [locks] = await connection.query(
+      `SELECT seat_number FROM seat_locks
+       WHERE schedule_id = ? AND user_id = ? AND expires_at > NOW()
+       ORDER BY seat_number`,
+      [scheduleId, userId]
+    );
+
+    await connection.commit();
+    connection.release();
+
+    const expiresAt = new Date(hold.expires_at);
+    const holdEndsAt = new Date(hold.hold_ends_at);
+    return {
+      ok: true,
+      seats: locks.map(lock => lock.seat_number),
+      expiresAt,
+      holdEndsAt,
+      maxHoldReached: expiresAt.getTime() >= holdEndsAt.getTime()
+    };
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+};
+
+// Countdown fields for lock responses; clients should count down against server_time
+const formatHold = ({ expiresAt, holdEndsAt }) => ({
+  expires_at: expiresAt.toISOString(),
+  expires_in_seconds: Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000)),
+  hold_ends_at: holdEndsAt.toISOString(),
+  server_time: new Date().toISOString()
+});
+
+module.exports = {
+  SEAT_LOCK_ERRORS,
+  CONFLICT_REASONS,
+  normalizeSeats,
+  acquireSeats,
+  extendSeats,
+  formatHold
+};
@@ -0,0 +1,102 @@
+// Best-available seat suggestions from a screen's layout_data.
+// Rows are ordered as the layout builder sorts them, first row nearest the screen.
+
+// The sweet spot is about two thirds of the way back from the screen
+const IDEAL_DEPTH = 0.65;
+// A walkway (seat_allocation.row_spacing) adds roughly one row of depth
+const WALKWAY_DEPTH = 1;
+const ROW_WEIGHT = 0.6;
+const CENTER_WEIGHT = 0.4;
+
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+// Depth of each row from the screen, counting walkways between rows
+const getRowDepths = (rows, rowSpacing) => {
+  const walkways = (rowSpacing || []).map(String);
+  const depths = {};
+  let depth = 0;
+
+  rows.forEach((row, index) => {
+    depths[row] = depth;
+    depth += 1;
+    if (walkways.includes(String(row)) && index < rows.length - 1) {
+      depth += WALKWAY_DEPTH;
+    }
+  });
+
+  return { depths, maxDepth: Math.max(depth - 1, 1) };
+};
+
+// Runs of `count` side-by-side seats in one row: consecutive columns, no gap between, one category
+const findBlocks = (rowSeats, count) => {
+  const blocks = [];
+  for (let start = 0; start + count <= rowSeats.length; start++) {
+    const block = rowSeats.slice(start, start + count);
+    const contiguous = block.every((seat, index) =>
+      index === 0 ||
+      (seat.column === block[index - 1].column + 1 && seat.category_id === block[index - 1].category_id)
+    );
+    if (contiguous) {
+      blocks.push(block);
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Suggest blocks of `count` adjacent available seats, best first.
+ * `isAvailable(seat)` decides quota/category/booked/locked for each layout seat;
+ * `isAllowed(seatNumbers)` can veto a whole block (e.g. the no-orphan-seat rule).
+ */
+const recommendSeats = ({ layoutData, rowSpacing, count, isAvailable, isAllowed = () => true, limit = 3 }) => {
+  const seats = layoutData.filter(seat => seat.type !== 'gap' && seat.seat_number);
+  const rows = [...new Set(seats.map(seat => seat.row))].sort();
+  const { depths, maxDepth } = getRowDepths(rows, rowSpacing);
+
+  const columns = seats.map(seat => Number(seat.column));
+  const minColumn = Math.min(...columns);
+  const maxColumn = Math.max(...columns);
+  const centerColumn = (minColumn + maxColumn) / 2;
+  const halfWidth = Math.max((maxColumn - minColumn) / 2, 1);
+
+  const suggestions = [];
+  rows.forEach(row => {
+    const rowSeats = seats
+      .filter(seat => seat.row === row && isAvailable(seat))
+      .map(seat => ({ ...seat, column: Number(seat.column) }))
+      .sort((a, b) => a.column - b.column);
+
+    findBlocks(rowSeats, count)
+      .filter(block => isAllowed(block.map(seat => seat.seat_number)))
+      .forEach(block => {
+        const blockCenter = (block[0].column + block[block.length - 1].column) / 2;
+        const rowScore = 1 - Math.abs(depths[row] / maxDepth - IDEAL_DEPTH);
+        const centerScore = 1 - Math.abs(blockCenter - centerColumn) / halfWidth;
+
+        suggestions.push({
+          row,
+          seats: block.map(seat => seat.seat_number),
+          category_id: block[0].category_id,
+          score: roundScore(ROW_WEIGHT * rowScore + CENTER_WEIGHT * centerScore)
+        });
+      });
+  });
+
+  // Alternatives should not share seats with a better suggestion
+  const picked = [];
+  const usedSeats = new Set();
+  suggestions
+    .sort((a, b) => b.score - a.score)
+    .forEach(suggestion => {
+      if (picked.length < limit && !suggestion.seats.some(seat => usedSeats.has(seat))) {
+        picked.push(suggestion);
+        suggestion.seats.forEach(seat => usedSeats.add(seat));
+      }
+    });
+
+  return picked;
+};
+
+module.exports = {
+  recommendSeats
+};
@@ -0,0 +1,135 @@
+const db = require('../config/db');
+const config = require('../config/config');
+
+// How often last_seen_at is written for an active session
+const LAST_SEEN_INTERVAL_SECONDS = 60;
+
+const truncate = (value, length) => {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value).substring(0, length);
+};
+
+// Device details sent by the app (body fields take precedence over headers)
+const getDeviceInfo = (req) => {
+  const body = req.body || {};
+  return {
+    device_id: truncate(body.device_id || req.headers['x-device-id'], 255),
+    device_name: truncate(body.device_name || req.headers['x-device-name'], 255),
+    platform: truncate((body.platform || req.headers['x-platform'] || '').toLowerCase(), 50),
+    app_version: truncate(body.app_version || req.headers['x-app-version'], 50),
+    ip_address: req.ip || req.socket?.remoteAddress || null,
+    user_agent: truncate(req.headers['user-agent'], 255)
+  };
+};
+
+const createSession = async (sessionId, userId, device = {}) => {
+  await db.query(
+    `INSERT INTO user_sessions
+     (id, user_id, device_id, device_name, platform, app_version, ip_address, user_agent, last_seen_at, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+    [
+      sessionId,
+      userId,
+      device.device_id || null,
+      device.device_name || null,
+      device.platform || null,
+      device.app_version || null,
+      device.ip_address || null,
+      device.user_agent || null,
+      config.jwt.refreshExpireDays
+    ]
+  );
+};
+
+// Called on refresh token rotation - the session lives as long as its newest refresh token
+const extendSession = async (executor, sessionId, ip) => {
+  await executor.query(
+    `UPDATE user_sessions
+     SET expires_at = DATE_ADD(NOW(), INTERVAL ? DAY), last_seen_at = NOW(), ip_address = COALESCE(?, ip_address)
+     WHERE id = ?`,
+    [config.jwt.refreshExpireDays, ip || null, sessionId]
+  );
+};
+
+const touchSession = async (sessionId, ip) => {
+  try {
+    await db.query(
+      `UPDATE user_sessions
+       SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address)
+       WHERE id = ? AND (last_seen_at IS NULL OR last_seen_at < DATE_SUB(NOW(), INTERVAL ? SECOND))`,
+      [ip || null, sessionId, LAST_SEEN_INTERVAL_SECONDS]
+    );
+  } catch (error) {
+    console.error('Touch Session Error:', error.message);
+  }
+};
+
+const isSessionActive = async (sessionId) => {
+  const session = await db.queryOne(
+    `SELECT id FROM user_sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+  return !!session;
+};
+
+const listActiveSessions = async (userId) => {
+  return await db.query(
+    `SELECT id, device_name, platform, app_version, ip_address, last_seen_at, created_at
+     FROM user_sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+};
+
+// Revoke a session and every refresh token issued for it
+const revokeSession = async (sessionId, reason = 'logout', userId = null) => {
+  const params = [reason, sessionId];
+  let ownerClause = '';
+  if (userId !== null) {
+    ownerClause = ' AND user_id = ?';
+    params.push(userId);
+  }
+
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE id = ? AND revoked_at IS NULL${ownerClause}`,
+    params
+  );
+
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE session_id = ? AND revoked_at IS NULL${ownerClause}`,
+    params
+  );
+
+  return result.affectedRows;
+};
+
+const revokeAllUserSessions = async (userId, reason = 'logout_all') => {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+
+  return result.affectedRows;
+};
+
+module.exports = {
+  getDeviceInfo,
+  createSession,
+  extendSession,
+  touchSession,
+  isSessionActive,
+  listActiveSessions,
+  revokeSession,
+  revokeAllUserSessions
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/config');
+
+// Every provider exposes the same shape:
+//   { name, sendOTP: async (phoneNumber, otp, { expireMinutes }) => void }
+// sendOTP must throw when the message could not be handed over to the gateway.
+
+const buildOTPMessage = (otp, expireMinutes) => {
+  return `${otp} is your NammaShow verification code. It is valid for ${expireMinutes} minutes. Do not share it with anyone.`;
+};
+
+// Local development / testing provider - logs the OTP and appends it to a file
+const consoleProvider = {
+  name: 'console',
+  sendOTP: async (phoneNumber, otp, { expireMinutes }) => {
+    const line = `[${new Date().toISOString()}] ${phoneNumber} -> ${otp} (valid ${expireMinutes} min)`;
+    console.log(`📱 OTP (console provider): ${line}`);
+
+    if (config.sms.console.logFile) {
+      const logFile = path.resolve(config.sms.console.logFile);
+      await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.promises.appendFile(logFile, line + '\n');
+    }
+  }
+};
+
+// MSG91 OTP API (https://docs.msg91.com)
+const msg91Provider = {
+  name: 'msg91',
+  sendOTP: async (phoneNumber, otp) => {
+    const { authKey, templateId, countryCode } = config.sms.msg91;
+
+    if (!authKey || !templateId) {
+      throw new Error('MSG91 is not configured (MSG91_AUTH_KEY / MSG91_TEMPLATE_ID)');
+    }
+
+    const response = await axios.post('https://control.msg91.com/api/v5/otp', null, {
+      params: {
+        template_id: templateId,
+        mobile: `${countryCode}${phoneNumber}`,
+        otp: otp
+      },
+      headers: { authkey: authKey },
+      timeout: 10000
+    });
+
+    if (response.data?.type !== 'success') {
+      throw new Error(`MSG91 rejected the request: ${response.data?.message || 'unknown error'}`);
+    }
+  }
+};
+
+// Twilio Programmable Messaging
+const twilioProvider = {
+  name: 'twilio',
+  sendOTP: async (phoneNumber, otp, { expireMinutes }) => {
+    const { accountSid, authToken, from, countryCode } = config.sms.twilio;
+
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio is not configured (TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / TWILIO_FROM)');
+    }
+
+    const body = new URLSearchParams({
+      To: `+${countryCode}${phoneNumber}`,
+      From: from,
+      Body: buildOTPMessage(otp, expireMinutes)
+    });
+
+    await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      body.toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      }
+    );
+  }
+};
+
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+  [msg91Provider.name]: msg91Provider,
+  [twilioProvider.name]: twilioProvider
+};
+
+// Register an additional provider (e.g. a test double) under its name
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.sendOTP !== 'function') {
+    throw new Error('SMS provider must have a name and a sendOTP function');
+  }
+  providers[provider.name] = provider;
+};
+
+const getProvider = (name = config.sms.provider) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+const sendOTP = async (phoneNumber, otp) => {
+  const provider = getProvider();
+  await provider.sendOTP(phoneNumber, otp, { expireMinutes: config.otp.expireMinutes });
+  return provider.name;
+};
+
+module.exports = {
+  sendOTP,
+  getProvider,
+  registerProvider,
+  buildOTPMessage
+};
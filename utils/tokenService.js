@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const config = require('../config/config');
+const { generateToken } = require('./jwtHelper');
+const sessionService = require('./sessionService');
+const { getUserAuthorization } = require('./rbac');
+
+// Error codes returned by refreshSession
+const TOKEN_ERRORS = {
+  INVALID: 'REFRESH_TOKEN_INVALID',
+  EXPIRED: 'REFRESH_TOKEN_EXPIRED',
+  REUSED: 'REFRESH_TOKEN_REUSED'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Roles / permissions are read at issue time; changes apply from the next refresh
+const buildAccessToken = async (user, sessionId) => {
+  const authorization = await getUserAuthorization(user.id);
+
+  return generateToken({
+    id: user.id,
+    phone_number: user.phone_number,
+    email: user.email_address,
+    sid: sessionId,
+    ...authorization
+  });
+};
+
+// Insert a refresh token row; `executor` is db or a transaction connection
+const storeRefreshToken = async (executor, userId, sessionId, ip) => {
+  const refreshToken = generateRefreshToken();
+  const sql = `INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at, created_ip, created_at)
+               VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, NOW())`;
+  const params = [userId, sessionId, hashToken(refreshToken), config.jwt.refreshExpireDays, ip || null];
+
+  const result = executor === db
+    ? await db.query(sql, params)
+    : (await executor.query(sql, params))[0];
+
+  return { refreshToken, id: result.insertId };
+};
+
+const formatTokens = (accessToken, refreshToken, sessionId) => ({
+  token: accessToken,
+  refresh_token: refreshToken,
+  token_type: 'Bearer',
+  expires_in: config.jwt.expiresIn,
+  refresh_expires_in_days: config.jwt.refreshExpireDays,
+  session_id: sessionId
+});
+
+// Start a new device session and return its access + refresh tokens.
+// `device` is the output of sessionService.getDeviceInfo(req)
+const issueTokens = async (user, device = {}) => {
+  const sessionId = crypto.randomUUID();
+  await sessionService.createSession(sessionId, user.id, device);
+  const { refreshToken } = await storeRefreshToken(db, user.id, sessionId, device.ip_address);
+  return formatTokens(await buildAccessToken(user, sessionId), refreshToken, sessionId);
+};
+
+// Rotate a refresh token: the presented token is consumed and a new pair is issued.
+// Presenting an already rotated token is treated as theft and revokes the whole session.
+const refreshSession = async (rawRefreshToken, { ip = null } = {}) => {
+  const connection = await db.beginTransaction();
+
+  try {
+    const [rows] = await connection.query(
+      `SELECT id, user_id, session_id, revoked_at, revoked_reason, expires_at > NOW() as is_active
+       FROM refresh_tokens WHERE token_hash = ? FOR UPDATE`,
+      [hashToken(rawRefreshToken)]
+    );
+    const stored = rows[0];
+
+    if (!stored) {
+      await connection.rollback();
+      connection.release();
+      return { ok: false, code: TOKEN_ERRORS.INVALID, message: 'Invalid refresh token' };
+    }
+
+    if (stored.revoked_at) {
+      if (stored.revoked_reason === 'rotated') {
+        console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}, revoking session ${stored.session_id}`);
+        await connection.query(
+          `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'reuse_detected'
+           WHERE session_id = ? AND revoked_at IS NULL`,
+          [stored.session_id]
+        );
+        await connection.query(
+          `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'reuse_detected'
+           WHERE id = ? AND revoked_at IS NULL`,
+          [stored.session_id]
+        );
+        await connection.commit();
+        connection.release();
+        return { ok: false, code: TOKEN_ERRORS.REUSED, message: 'Session has been revoked. Please login again' };
+      }
+
+      await connection.rollback();
+      connection.release();
+      return { ok: false, code: TOKEN_ERRORS.INVALID, message: 'Session has been revoked. Please login again' };
+    }
+
+    if (!stored.is_active) {
+      await connection.rollback();
+      connection.release();
+      return { ok: false, code: TOKEN_ERRORS.EXPIRED, message: 'Refresh token has expired. Please login again' };
+    }
+
+    const [userRows] = await connection.query(
+      'SELECT * FROM users_profiles WHERE id = ?',
+      [stored.user_id]
+    );
+    const user = userRows[0];
+
+    if (!user) {
+      await connection.rollback();
+      connection.release();
+      return { ok: false, code: TOKEN_ERRORS.INVALID, message: 'User not found' };
+    }
+
+    const { refreshToken, id: newTokenId } = await storeRefreshToken(connection, user.id, stored.session_id, ip);
+
+    await connection.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by_id = ?
+       WHERE id = ?`,
+      [newTokenId, stored.id]
+    );
+
+    await sessionService.extendSession(connection, stored.session_id, ip);
+
+    const accessToken = await buildAccessToken(user, stored.session_id);
+
+    await connection.commit();
+    connection.release();
+
+    return {
+      ok: true,
+      user,
+      tokens: formatTokens(accessToken, refreshToken, stored.session_id)
+    };
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+};
+
+module.exports = {
+  TOKEN_ERRORS,
+  hashToken,
+  issueTokens,
+  refreshSession
+};
@@ -0,0 +1,148 @@
+const db = require('../config/db');
+
+const WALLET_TYPES = {
+  TOPUP: 'topup',
+  REFUND: 'refund',
+  PROMO: 'promo',
+  PAYMENT: 'payment',
+  ADJUSTMENT: 'adjustment'
+};
+
+const WALLET_ERRORS = {
+  INSUFFICIENT_BALANCE: 'WALLET_INSUFFICIENT_BALANCE'
+};
+
+// Razorpay does not accept orders below ₹1
+const MIN_GATEWAY_AMOUNT = 1;
+
+const roundMoney = (amount) => Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+const getBalance = async (userId, connection = null) => {
+  const sql = 'SELECT COALESCE(SUM(amount), 0) as balance FROM wallet_transactions WHERE user_id = ?';
+
+  if (connection) {
+    const [rows] = await connection.query(sql, [userId]);
+    return roundMoney(rows[0].balance);
+  }
+
+  const row = await db.queryOne(sql, [userId]);
+  return roundMoney(row.balance);
+};
+
+// Append an entry inside the caller's transaction. Debits never take the balance below zero.
+// Returns null if the same (type, reference) was already recorded.
+const recordEntry = async (connection, { userId, type, amount, referenceType = null, referenceId = null, description = null, createdBy = null }) => {
+  const value = roundMoney(amount);
+  if (!value) {
+    return null;
+  }
+
+  await connection.query('SELECT id FROM users_profiles WHERE id = ? FOR UPDATE', [userId]);
+
+  if (referenceType && referenceId) {
+    const [existing] = await connection.query(
+      `SELECT id FROM wallet_transactions
+       WHERE user_id = ? AND type = ? AND reference_type = ? AND reference_id = ?`,
+      [userId, type, referenceType, referenceId]
+    );
+    if (existing.length > 0) {
+      return null;
+    }
+  }
+
+  const balanceAfter = roundMoney((await getBalance(userId, connection)) + value);
+  if (balanceAfter < 0) {
+    const error = new Error('Insufficient wallet balance');
+    error.code = WALLET_ERRORS.INSUFFICIENT_BALANCE;
+    throw error;
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO wallet_transactions
+     (user_id, type, amount, balance_after, reference_type, reference_id, description, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [userId, type, value, balanceAfter, referenceType, referenceId, description, createdBy]
+  );
+
+  return { id: result.insertId, amount: value, balance_after: balanceAfter };
+};
+
+// Same as recordEntry but in its own transaction
+const addEntry = async (entry) => {
+  const connection = await db.beginTransaction();
+  try {
+    const result = await recordEntry(connection, entry);
+    await connection.commit();
+    connection.release();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    throw error;
+  }
+};
+
+// How much of an order the wallet pays; the rest goes through Razorpay
+const splitPayment = (walletBalance, totalAmount) => {
+  const total = roundMoney(totalAmount);
+  let walletAmount = Math.min(roundMoney(walletBalance), total);
+  let gatewayAmount = roundMoney(total - walletAmount);
+
+  if (gatewayAmount > 0 && gatewayAmount < MIN_GATEWAY_AMOUNT) {
+    gatewayAmount = Math.min(MIN_GATEWAY_AMOUNT, total);
+    walletAmount = roundMoney(total - gatewayAmount);
+  }
+
+  return { wallet_amount: Math.max(walletAmount, 0), gateway_amount: gatewayAmount };
+};
+
+const getPaymentMethod = (walletAmount, gatewayAmount) => {
+  if (walletAmount > 0 && gatewayAmount > 0) return 'wallet+razorpay';
+  return walletAmount > 0 ? 'wallet' : 'razorpay';
+};
+
+const getHistory = async (userId, { page = 1, limit = 20, type = null } = {}) => {
+  let whereClause = 'WHERE user_id = ?';
+  const params = [userId];
+
+  if (type) {
+    whereClause += ' AND type = ?';
+    params.push(type);
+  }
+
+  const countResult = await db.queryOne(
+    `SELECT COUNT(*) as total FROM wallet_transactions ${whereClause}`,
+    params
+  );
+
+  const offset = (page - 1) * limit;
+  const rows = await db.query(
+    `SELECT id, type, amount, balance_after, reference_type, reference_id, description, created_at
+     FROM wallet_transactions
+     ${whereClause}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    transactions: rows.map(row => ({
+      ...row,
+      amount: parseFloat(row.amount),
+      balance_after: parseFloat(row.balance_after)
+    })),
+    total: countResult.total
+  };
+};
+
+module.exports = {
+  WALLET_TYPES,
+  WALLET_ERRORS,
+  roundMoney,
+  getBalance,
+  recordEntry,
+  addEntry,
+  splitPayment,
+  getPaymentMethod,
+  getHistory
+};